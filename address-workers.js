@@ -0,0 +1,91 @@
+// address-workers.js - 钱包地址编码 (Cloudflare Workers兼容版本)
+// 与Node版本的 address.js 使用相同的格式: Base58(版本字节 + RIPEMD160(SHA256(压缩公钥)) + 校验和)
+import CryptoES from 'crypto-es';
+import { ec as EC } from 'elliptic';
+
+const ec = new EC('secp256k1');
+
+// 地址版本字节，必须与 config.js 中的 ADDRESS_VERSION 一致
+const ADDRESS_VERSION = '00';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const CHECKSUM_LENGTH = 8; // 4字节的十六进制长度
+const ADDRESS_HEX_LENGTH = 50; // 1字节版本 + 20字节公钥哈希 + 4字节校验和
+
+function sha256Hex(hex) {
+  return CryptoES.SHA256(CryptoES.enc.Hex.parse(hex)).toString(CryptoES.enc.Hex);
+}
+
+function hash160Hex(hex) {
+  return CryptoES.RIPEMD160(CryptoES.SHA256(CryptoES.enc.Hex.parse(hex))).toString(CryptoES.enc.Hex);
+}
+
+function checksum(payloadHex) {
+  return sha256Hex(sha256Hex(payloadHex)).substring(0, CHECKSUM_LENGTH);
+}
+
+function base58Encode(hex) {
+  let value = BigInt('0x' + (hex || '0'));
+  let result = '';
+
+  while (value > 0n) {
+    result = BASE58_ALPHABET[Number(value % 58n)] + result;
+    value /= 58n;
+  }
+
+  // 每个前导零字节编码为一个 '1'
+  for (let i = 0; i < hex.length && hex.substring(i, i + 2) === '00'; i += 2) {
+    result = '1' + result;
+  }
+
+  return result;
+}
+
+// 解码为十六进制字符串，包含非法字符时返回 null
+function base58Decode(string) {
+  let value = 0n;
+
+  for (const char of string) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      return null;
+    }
+    value = value * 58n + BigInt(digit);
+  }
+
+  let hex = value > 0n ? value.toString(16) : '';
+  if (hex.length % 2 === 1) {
+    hex = '0' + hex;
+  }
+
+  let leadingZeros = '';
+  for (let i = 0; i < string.length && string[i] === '1'; i++) {
+    leadingZeros += '00';
+  }
+
+  return leadingZeros + hex;
+}
+
+// 公钥 (压缩或未压缩的十六进制) 转换为地址
+function publicKeyToAddress(publicKey) {
+  const compressed = ec.keyFromPublic(publicKey, 'hex').getPublic(true, 'hex');
+  const payload = ADDRESS_VERSION + hash160Hex(compressed);
+  return base58Encode(payload + checksum(payload));
+}
+
+// 检查地址格式、版本字节和校验和
+function isValidAddress(address) {
+  if (typeof address !== 'string' || address.length === 0) {
+    return false;
+  }
+
+  const decoded = base58Decode(address);
+  if (!decoded || decoded.length !== ADDRESS_HEX_LENGTH) {
+    return false;
+  }
+
+  const payload = decoded.substring(0, decoded.length - CHECKSUM_LENGTH);
+  return payload.substring(0, 2) === ADDRESS_VERSION &&
+    checksum(payload) === decoded.substring(decoded.length - CHECKSUM_LENGTH);
+}
+
+export { publicKeyToAddress, isValidAddress };
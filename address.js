@@ -0,0 +1,134 @@
+// address.js - 钱包地址编码 (与比特币P2PKH地址相同的Base58Check格式)
+// 地址 = Base58(版本字节 + RIPEMD160(SHA256(压缩公钥)) + 校验和)，校验和为两次SHA-256的前4个字节
+// M-of-N 多签地址使用单独的版本字节，哈希的内容为 [M][排序后的压缩公钥...][N]
+const crypto = require('crypto');
+const EC = require('elliptic').ec;
+const ec = new EC('secp256k1');
+const config = require('./config');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const CHECKSUM_SIZE = 4;
+const PUBLIC_KEY_HASH_SIZE = 20;
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest();
+}
+
+function hash160(buffer) {
+  return crypto.createHash('ripemd160').update(sha256(buffer)).digest();
+}
+
+function checksum(payload) {
+  return sha256(sha256(payload)).subarray(0, CHECKSUM_SIZE);
+}
+
+function base58Encode(buffer) {
+  let value = BigInt('0x' + (buffer.toString('hex') || '0'));
+  let result = '';
+
+  while (value > 0n) {
+    result = BASE58_ALPHABET[Number(value % 58n)] + result;
+    value /= 58n;
+  }
+
+  // 每个前导零字节编码为一个 '1'
+  for (let i = 0; i < buffer.length && buffer[i] === 0; i++) {
+    result = '1' + result;
+  }
+
+  return result;
+}
+
+// 解码Base58字符串，包含非法字符时返回 null
+function base58Decode(string) {
+  let value = 0n;
+
+  for (const char of string) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      return null;
+    }
+    value = value * 58n + BigInt(digit);
+  }
+
+  let hex = value > 0n ? value.toString(16) : '';
+  if (hex.length % 2 === 1) {
+    hex = '0' + hex;
+  }
+
+  let leadingZeros = 0;
+  while (leadingZeros < string.length && string[leadingZeros] === '1') {
+    leadingZeros++;
+  }
+
+  return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex, 'hex')]);
+}
+
+function encodeAddress(version, hash) {
+  const payload = Buffer.concat([Buffer.from([version]), hash]);
+  return base58Encode(Buffer.concat([payload, checksum(payload)]));
+}
+
+// 解码地址并校验长度和校验和，返回版本字节，地址无效时返回 null
+function decodeAddressVersion(address) {
+  if (typeof address !== 'string' || address.length === 0) {
+    return null;
+  }
+
+  const decoded = base58Decode(address);
+  if (!decoded || decoded.length !== 1 + PUBLIC_KEY_HASH_SIZE + CHECKSUM_SIZE) {
+    return null;
+  }
+
+  const payload = decoded.subarray(0, decoded.length - CHECKSUM_SIZE);
+  if (!checksum(payload).equals(decoded.subarray(decoded.length - CHECKSUM_SIZE))) {
+    return null;
+  }
+  return payload[0];
+}
+
+function compressPublicKey(publicKey) {
+  return ec.keyFromPublic(publicKey, 'hex').getPublic(true, 'hex');
+}
+
+// 公钥 (压缩或未压缩的十六进制) 转换为地址
+function publicKeyToAddress(publicKey) {
+  return encodeAddress(config.ADDRESS_VERSION, hash160(Buffer.from(compressPublicKey(publicKey), 'hex')));
+}
+
+// 多签公钥统一为压缩格式并排序，使地址与公钥的顺序无关
+function normalizeMultisigKeys(publicKeys) {
+  return publicKeys.map(compressPublicKey).sort();
+}
+
+// M-of-N 多签地址
+function multisigToAddress(m, publicKeys) {
+  const keys = normalizeMultisigKeys(publicKeys);
+  const data = Buffer.concat([
+    Buffer.from([m]),
+    ...keys.map(key => Buffer.from(key, 'hex')),
+    Buffer.from([keys.length])
+  ]);
+
+  return encodeAddress(config.MULTISIG_ADDRESS_VERSION, hash160(data));
+}
+
+// 检查地址格式、版本字节和校验和，能够发现绝大多数输入错误
+function isValidAddress(address) {
+  const version = decodeAddressVersion(address);
+  return version === config.ADDRESS_VERSION || version === config.MULTISIG_ADDRESS_VERSION;
+}
+
+function isMultisigAddress(address) {
+  return decodeAddressVersion(address) === config.MULTISIG_ADDRESS_VERSION;
+}
+
+module.exports = {
+  base58Encode,
+  base58Decode,
+  publicKeyToAddress,
+  normalizeMultisigKeys,
+  multisigToAddress,
+  isValidAddress,
+  isMultisigAddress
+};
@@ -0,0 +1,156 @@
+// ban-manager.js - 被封禁节点的管理和持久化 (Node节点使用)
+// 按IP地址封禁: 封禁期间拒绝该地址的入站连接，也不会主动连接该地址
+// 本机和局域网地址 (同一台机器或同一网络上常运行多个节点) 默认按 IP:监听端口 封禁，只影响有不当行为的那个节点
+// 封禁到期后自动解除，封禁列表保存在 bans.json 中，重启后继续生效
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const config = require('./config');
+
+class BanManager {
+  // filePath 为 null 时只在内存中保存
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.bans = new Map(); // 地址或 地址:端口 -> { address, reason, bannedAt, until }
+  }
+
+  // 规范化IP地址 (IPv4映射的IPv6地址转换为IPv4，去掉IPv6地址的方括号)
+  // 也接受 IP:端口 形式的封禁记录 (IPv6地址写作 [地址]:端口)
+  static normalizeAddress(address) {
+    if (typeof address !== 'string' || address.length === 0) {
+      return null;
+    }
+
+    const value = address.toLowerCase().replace(/^::ffff:/, '');
+    const withPort = value.match(/^\[(.*)\]:(\d+)$/) || value.match(/^([^:]*):(\d+)$/);
+    if (withPort) {
+      return BanManager.formatKey(BanManager.normalizeAddress(withPort[1]), Number(withPort[2]));
+    }
+    return value.replace(/^\[(.*)\]$/, '$1').replace(/^::ffff:/, '');
+  }
+
+  static formatKey(address, port) {
+    return address.includes(':') ? `[${address}]:${port}` : `${address}:${port}`;
+  }
+
+  // 本机地址 (127.0.0.0/8, ::1)
+  static isLoopbackAddress(address) {
+    const normalized = BanManager.normalizeAddress(address);
+    return normalized === '::1' || (net.isIPv4(normalized) && normalized.startsWith('127.'));
+  }
+
+  // 本机、局域网和链路本地地址
+  static isLocalAddress(address) {
+    const normalized = BanManager.normalizeAddress(address);
+    if (BanManager.isLoopbackAddress(normalized)) {
+      return true;
+    }
+    if (net.isIPv4(normalized)) {
+      const [a, b] = normalized.split('.').map(Number);
+      return a === 10 || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) || (a === 169 && b === 254);
+    }
+    return net.isIPv6(normalized) && /^(f[cd]|fe[89ab])/.test(normalized);
+  }
+
+  // 封禁记录的键: 本机和局域网地址为 IP:端口 (P2P_BAN_LOCAL_BY_PORT 关闭时为IP)，其他为IP
+  // 本机和局域网地址不知道端口时返回 null (不封禁，避免影响同一地址上的其他节点)
+  static getBanKey(address, port = null) {
+    const normalized = BanManager.normalizeAddress(address);
+    if (!normalized || !config.P2P_BAN_LOCAL_BY_PORT || !BanManager.isLocalAddress(normalized)) {
+      return normalized;
+    }
+    return Number.isSafeInteger(port) && port > 0 ? BanManager.formatKey(normalized, port) : null;
+  }
+
+  // 从磁盘加载封禁列表，文件损坏时忽略
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const entry of Array.isArray(data.bans) ? data.bans : []) {
+        const address = BanManager.normalizeAddress(entry.address);
+        if (address && Number.isSafeInteger(entry.until)) {
+          this.bans.set(address, {
+            address,
+            reason: typeof entry.reason === 'string' ? entry.reason : '',
+            bannedAt: Number.isSafeInteger(entry.bannedAt) ? entry.bannedAt : null,
+            until: entry.until
+          });
+        }
+      }
+    } catch (error) {
+      console.error('无法读取封禁列表，将重新建立:', error.message);
+    }
+  }
+
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempFile = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ bans: this.list() }, null, 2));
+    fs.renameSync(tempFile, this.filePath);
+  }
+
+  // 封禁地址 (port 为对方的监听端口)，返回封禁记录；地址无效或无法确定封禁的键时返回 null
+  ban(address, port, reason, duration = config.P2P_BAN_DURATION) {
+    const normalized = BanManager.getBanKey(address, port);
+    if (!normalized) {
+      return null;
+    }
+
+    const now = Date.now();
+    const entry = { address: normalized, reason, bannedAt: now, until: now + duration };
+    this.bans.set(normalized, entry);
+    this.save();
+    return entry;
+  }
+
+  unban(address) {
+    const removed = this.bans.delete(BanManager.normalizeAddress(address));
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+
+  // 解除所有封禁，返回解除的数量
+  clear() {
+    const count = this.list().length;
+    this.bans.clear();
+    this.save();
+    return count;
+  }
+
+  // 整个IP被封禁，或者 IP:端口 被封禁 (提供了端口时)
+  isBanned(address, port = null) {
+    const normalized = BanManager.normalizeAddress(address);
+    if (!normalized) {
+      return false;
+    }
+
+    const keys = Number.isSafeInteger(port) && port > 0 ? [normalized, BanManager.formatKey(normalized, port)] : [normalized];
+    return keys.some(key => {
+      const entry = this.bans.get(key);
+      return entry !== undefined && entry.until > Date.now();
+    });
+  }
+
+  // 仍在封禁期内的地址 (顺便删除已到期的记录)
+  list() {
+    const now = Date.now();
+    for (const [address, entry] of this.bans) {
+      if (entry.until <= now) {
+        this.bans.delete(address);
+      }
+    }
+    return [...this.bans.values()];
+  }
+}
+
+module.exports = BanManager;
@@ -1,5 +1,5 @@
 // blockchain-object.js - 区块链Durable Object实现
-import { Blockchain, Transaction } from './blockchain-workers.js';
+import { Blockchain, Transaction, TransactionError } from './blockchain-workers.js';
 
 // 区块链Durable Object类 - 用于持久化存储区块链状态
 export class BlockchainObject {
@@ -15,7 +15,8 @@ export class BlockchainObject {
     // 从存储中加载区块链数据
     const storedData = await this.state.storage.get('blockchain');
     if (storedData) {
-      this.blockchain = Blockchain.deserialize(storedData);
+      // 存储的数据会被重建为区块/交易实例并完整校验
+      this.blockchain = await Blockchain.deserialize(storedData);
       console.log('从持久化存储加载区块链, 区块数:', this.blockchain.chain.length);
     } else {
       // 如果没有存储的数据，创建新的区块链
@@ -37,10 +38,10 @@ export class BlockchainObject {
 
   // 处理请求
   async fetch(request) {
-    // 等待初始化完成
-    await this.initializePromise;
-    
     try {
+      // 等待初始化完成
+      await this.initializePromise;
+      
       // 解析请求
       const url = new URL(request.url);
       const path = url.pathname;
@@ -60,15 +61,22 @@ export class BlockchainObject {
         }));
       }
       else if (path === '/transaction' && request.method === 'POST') {
-        // 创建新交易
-        const data = await request.json();
+        // 创建新交易: 请求体为客户端已签名的交易
+        // 开发环境变量 ALLOW_SERVER_SIGNING = "true" 时也可以携带 privateKey 由服务端签名
+        const data = await readTransactionBody(request);
         const { fromAddress, toAddress, amount, privateKey } = data;
         
-        // 创建交易
-        const tx = new Transaction(fromAddress, toAddress, amount);
-        
-        // 签名交易 (简化处理)
-        if (privateKey) {
+        let tx;
+        if (!privateKey) {
+          tx = Transaction.fromJSON(data);
+        } else if (this.env.ALLOW_SERVER_SIGNING !== 'true') {
+          return this.corsResponse(JSON.stringify({
+            error: 'Server-side signing is disabled, submit a signed transaction instead',
+            code: 'SERVER_SIGNING_DISABLED'
+          }), { status: 403 });
+        } else {
+          // 创建交易并签名 (简化处理)
+          tx = new Transaction(fromAddress, toAddress, amount);
           await tx.signTransaction(privateKey);
         }
         
@@ -121,6 +129,14 @@ export class BlockchainObject {
         }), { status: 404 });
       }
     } catch (error) {
+      // 交易格式或校验错误属于客户端错误
+      if (error instanceof TransactionError) {
+        return this.corsResponse(JSON.stringify({
+          error: error.message,
+          code: error.code
+        }), { status: 400 });
+      }
+
       console.error('处理请求时出错:', error);
       
       return this.corsResponse(JSON.stringify({ 
@@ -168,4 +184,19 @@ export class BlockchainObject {
       }
     });
   }
-}
\ No newline at end of file
+}
+
+// 读取交易请求体，JSON格式错误或不是对象时抛出 MALFORMED_TRANSACTION
+async function readTransactionBody(request) {
+  let data;
+  try {
+    data = await request.json();
+  } catch (error) {
+    throw new TransactionError('MALFORMED_TRANSACTION', 'Request body is not valid JSON');
+  }
+
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: expected an object');
+  }
+  return data;
+}
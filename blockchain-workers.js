@@ -1,5 +1,22 @@
 // blockchain.js - 区块链核心实现 (Cloudflare Workers兼容版本)
 // 注意：在Workers环境中，我们使用Web Crypto API而不是Node.js的crypto模块
+// 交易的哈希、签名 (secp256k1 ECDSA) 和地址格式与Node版本的 blockchain.js 一致，两边的交易可以互通
+import { ec as EC } from 'elliptic';
+import { publicKeyToAddress, isValidAddress } from './address-workers.js';
+
+const ec = new EC('secp256k1');
+
+// lockTime 小于该值时表示区块高度，否则表示时间戳 (毫秒)，必须与 config.js 中的 LOCKTIME_THRESHOLD 一致
+const LOCKTIME_THRESHOLD = 500000000;
+
+// 交易校验错误，code 为返回给客户端的错误码 (与Node版本的 TransactionError 相同)
+class TransactionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TransactionError';
+    this.code = code;
+  }
+}
 
 // 工具函数：计算SHA-256哈希值
 async function sha256(message) {
@@ -13,6 +30,19 @@ async function sha256(message) {
     .join('');
 }
 
+// 反序列化时的基础类型检查
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isHexString(value) {
+  return typeof value === 'string' && /^[0-9a-f]*$/i.test(value);
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
 class Block {
   constructor(timestamp, transactions, previousHash = '') {
     this.timestamp = timestamp;
@@ -49,47 +79,146 @@ class Block {
     console.log(`Block mined: ${this.hash}`);
     return this.hash;
   }
+
+  // 从存储的JSON数据重建区块实例，结构不合法时抛出错误
+  static fromJSON(data) {
+    if (!isPlainObject(data)) {
+      throw new Error('Invalid block: expected an object');
+    }
+    if (!isNonNegativeInteger(data.timestamp) || !isNonNegativeInteger(data.nonce)) {
+      throw new Error('Invalid block: timestamp and nonce must be non-negative integers');
+    }
+    if (!Array.isArray(data.transactions)) {
+      throw new Error('Invalid block: transactions must be an array');
+    }
+    if (typeof data.previousHash !== 'string' || typeof data.hash !== 'string') {
+      throw new Error('Invalid block: previousHash and hash must be strings');
+    }
+
+    const transactions = data.transactions.map(tx => Transaction.fromJSON(tx));
+    const block = new Block(data.timestamp, transactions, data.previousHash);
+    block.nonce = data.nonce;
+    block.hash = data.hash;
+
+    return block;
+  }
 }
 
 class Transaction {
-  constructor(fromAddress, toAddress, amount) {
+  constructor(fromAddress, toAddress, amount, nonce = 0, fee = 0, lockTime = 0) {
     this.fromAddress = fromAddress;
     this.toAddress = toAddress;
     this.amount = amount;
+    this.nonce = nonce; // 账户nonce，防止交易重放
+    this.fee = fee; // 支付给矿工的手续费
+    this.lockTime = lockTime; // 最早可被打包的区块高度或时间戳，0 表示不锁定
     this.timestamp = Date.now();
     this.signature = null;
   }
 
+  // 与Node版本相同的哈希输入 (各字段编码为JSON数组)，保证两边签名互通
   async calculateHash() {
-    return await sha256(
-      this.fromAddress + 
-      this.toAddress + 
-      this.amount + 
-      this.timestamp
-    );
+    return await sha256(JSON.stringify([
+      this.fromAddress,
+      this.toAddress,
+      this.amount,
+      this.timestamp,
+      this.nonce,
+      this.fee,
+      this.lockTime
+    ]));
   }
 
-  // 注意：在Cloudflare Workers中，我们使用Web Crypto API进行加密操作
-  // 这里我们简化签名逻辑，因为elliptic库不直接支持
+  // 交易能否被打包进指定高度和时间戳的区块
+  isMature(height, timestamp) {
+    if (!this.lockTime) {
+      return true;
+    }
+    return this.lockTime < LOCKTIME_THRESHOLD ? height >= this.lockTime : timestamp >= this.lockTime;
+  }
+
+  // 使用私钥 (十六进制) 进行secp256k1签名，公钥随签名一起保存
   async signTransaction(privateKeyHex) {
-    // 在实际部署时，您需要实现完整的签名逻辑
-    // 这里我们只是存储一个简化的"签名"
+    const keyPair = ec.keyFromPrivate(privateKeyHex, 'hex');
+    if (publicKeyToAddress(keyPair.getPublic('hex')) !== this.fromAddress) {
+      throw new TransactionError('INVALID_SIGNER', 'You cannot sign transactions for other wallets!');
+    }
+
     const txHash = await this.calculateHash();
-    this.signature = txHash + '_signed_with_' + privateKeyHex.substring(0, 10);
+    this.signature = keyPair.sign(txHash).toDER('hex');
+    this.publicKey = keyPair.getPublic(true, 'hex');
     return this.signature;
   }
 
-  // 简化的验证逻辑
   async isValid() {
     // 挖矿奖励交易没有签名
     if (this.fromAddress === null) return true;
 
     if (!this.signature) {
-      throw new Error('No signature in this transaction');
+      throw new TransactionError('MISSING_SIGNATURE', 'No signature in this transaction');
     }
-    
-    // 简化的验证 - 实际应用中需要实现完整的加密验证
-    return this.signature.includes('_signed_with_');
+    if (!this.publicKey) {
+      throw new TransactionError('MISSING_PUBLIC_KEY', 'No public key in this transaction');
+    }
+
+    // 公钥必须对应发送方地址
+    if (publicKeyToAddress(this.publicKey) !== this.fromAddress) {
+      return false;
+    }
+
+    // elliptic 在公钥或签名无法解码时抛出异常，属于交易格式错误
+    const txHash = await this.calculateHash();
+    try {
+      return ec.keyFromPublic(this.publicKey, 'hex').verify(txHash, this.signature);
+    } catch (error) {
+      throw new TransactionError('MALFORMED_TRANSACTION', `Invalid public key or signature: ${error.message}`);
+    }
+  }
+
+  // 从存储的JSON数据重建交易实例，结构不合法时抛出错误
+  static fromJSON(data) {
+    if (!isPlainObject(data)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: expected an object');
+    }
+    if (data.fromAddress !== null && typeof data.fromAddress !== 'string') {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: fromAddress must be a string or null');
+    }
+    if (typeof data.toAddress !== 'string' || data.toAddress.length === 0) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: toAddress must be a non-empty string');
+    }
+    // 与Node版本一致只接受数值，字符串金额编码进哈希后与Node版本计算的结果不同
+    if (typeof data.amount !== 'number' || !Number.isFinite(data.amount)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: amount must be a finite number');
+    }
+    if (!isNonNegativeInteger(data.timestamp)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: timestamp must be a non-negative integer');
+    }
+    if (data.nonce !== undefined && !isNonNegativeInteger(data.nonce)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: nonce must be a non-negative integer');
+    }
+    if (data.fee !== undefined && (typeof data.fee !== 'number' || !Number.isFinite(data.fee))) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: fee must be a finite number');
+    }
+    if (data.lockTime !== undefined && !isNonNegativeInteger(data.lockTime)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: lockTime must be a non-negative integer');
+    }
+    if (data.signature !== null && data.signature !== undefined && !isHexString(data.signature)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: signature must be a hex string');
+    }
+    if (data.publicKey !== null && data.publicKey !== undefined && !isHexString(data.publicKey)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: publicKey must be a hex string');
+    }
+
+    const transaction = new Transaction(
+      data.fromAddress, data.toAddress, data.amount, data.nonce || 0, data.fee || 0, data.lockTime || 0
+    );
+    transaction.timestamp = data.timestamp;
+    transaction.signature = data.signature || null;
+    if (data.publicKey) {
+      transaction.publicKey = data.publicKey;
+    }
+
+    return transaction;
   }
 }
 
@@ -100,10 +229,8 @@ class Blockchain {
     this.pendingTransactions = [];
     this.miningReward = 100; // 挖矿奖励
     
-    // 如果链为空，创建创世区块
-    if (this.chain.length === 0) {
-      this.createGenesisBlock();
-    }
+    // 创世区块需异步计算哈希，由调用方通过 createGenesisBlock() 显式创建
+    // (在构造函数中创建会与反序列化后赋值的链发生竞争)
   }
 
   async createGenesisBlock() {
@@ -118,19 +245,27 @@ class Blockchain {
   }
 
   async minePendingTransactions(miningRewardAddress) {
-    // 创建奖励交易
-    const rewardTx = new Transaction(null, miningRewardAddress, this.miningReward);
-    this.pendingTransactions.push(rewardTx);
-    
+    if (!isValidAddress(miningRewardAddress)) {
+      throw new Error('Invalid miner address (bad format or checksum)');
+    }
+
+    // 时间锁未到期的交易留在交易池中
+    const height = this.chain.length;
+    const timestamp = Date.now();
+    const transactions = this.pendingTransactions.filter(tx => tx.isMature(height, timestamp));
+
+    // 创建奖励交易 (以区块高度作为nonce，保证奖励交易的哈希唯一)
+    const rewardTx = new Transaction(null, miningRewardAddress, this.miningReward, height);
+
     // 创建新区块并进行挖矿
-    const block = new Block(Date.now(), this.pendingTransactions, this.getLatestBlock()?.hash || '0');
+    const block = new Block(timestamp, [...transactions, rewardTx], this.getLatestBlock()?.hash || '0');
     await block.mineBlock(this.difficulty);
     
     console.log('Block successfully mined!');
     this.chain.push(block);
     
-    // 重置待处理交易
-    this.pendingTransactions = [];
+    // 移除已打包的交易
+    this.pendingTransactions = this.pendingTransactions.filter(tx => !transactions.includes(tx));
     
     return block;
   }
@@ -138,14 +273,19 @@ class Blockchain {
   async addTransaction(transaction) {
     // 验证交易
     if (!transaction.fromAddress || !transaction.toAddress) {
-      throw new Error('Transaction must include from and to address');
+      throw new TransactionError('MISSING_ADDRESS', 'Transaction must include from and to address');
+    }
+
+    // 拒绝格式或校验和错误的地址
+    if (!isValidAddress(transaction.fromAddress) || !isValidAddress(transaction.toAddress)) {
+      throw new TransactionError('INVALID_ADDRESS', 'Transaction contains an invalid address (bad format or checksum)');
     }
 
     // 验证交易签名
     if (transaction.fromAddress !== null) {
       const isValid = await transaction.isValid();
       if (!isValid) {
-        throw new Error('Cannot add invalid transaction to chain');
+        throw new TransactionError('INVALID_SIGNATURE', 'Cannot add invalid transaction to chain');
       }
     }
     
@@ -191,21 +331,44 @@ class Blockchain {
       if (currentBlock.previousHash !== previousBlock.hash) {
         return false;
       }
+
+      // 验证区块内交易签名和时间锁
+      for (const tx of currentBlock.transactions) {
+        if (tx.fromAddress !== null && !(await isTransactionSignatureValid(tx))) {
+          return false;
+        }
+        if (!tx.isMature(i, currentBlock.timestamp)) {
+          return false;
+        }
+      }
     }
 
     return true;
   }
 
-  // 替换区块链 (用于同步)
-  replaceChain(newChain) {
+  // 替换区块链 (用于同步)，接收的数据先重建为区块实例并完整校验
+  async replaceChain(chainData) {
     // 新链必须比当前链长
-    if (!Array.isArray(newChain) || newChain.length <= this.chain.length) {
+    if (!Array.isArray(chainData) || chainData.length <= this.chain.length) {
       console.log('接收到的区块链不比当前长，拒绝替换');
       return false;
     }
+
+    let newChain;
+    try {
+      newChain = chainData.map(block => Block.fromJSON(block));
+    } catch (error) {
+      console.log('接收到的区块链格式错误，拒绝替换:', error.message);
+      return false;
+    }
+
+    const tempChain = new Blockchain();
+    tempChain.chain = newChain;
+    if (!(await tempChain.isChainValid())) {
+      console.log('接收到的区块链无效，拒绝替换');
+      return false;
+    }
     
-    // 在实际应用中，需要验证新链
-    // 这里简化实现，直接替换
     console.log('替换当前区块链为新接收的区块链');
     this.chain = newChain;
     this.pendingTransactions = []; // 重置待处理交易
@@ -222,23 +385,51 @@ class Blockchain {
     });
   }
   
-  // 从序列化数据还原区块链
-  static deserialize(data) {
+  // 从序列化数据还原区块链，数据损坏或校验失败时抛出错误 (避免用空链覆盖存储)
+  static async deserialize(data) {
     if (!data) return new Blockchain();
     
-    try {
-      const parsed = JSON.parse(data);
-      const blockchain = new Blockchain();
-      blockchain.chain = parsed.chain;
-      blockchain.pendingTransactions = parsed.pendingTransactions;
+    const parsed = JSON.parse(data);
+    if (!isPlainObject(parsed) || !Array.isArray(parsed.chain) || parsed.chain.length === 0) {
+      throw new Error('Invalid blockchain data: missing chain');
+    }
+
+    const blockchain = new Blockchain();
+    blockchain.chain = parsed.chain.map(block => Block.fromJSON(block));
+    if (!(await blockchain.isChainValid())) {
+      throw new Error('Invalid blockchain data: chain failed validation');
+    }
+
+    // 逐笔重建并验证待处理交易，无效的交易直接丢弃
+    blockchain.pendingTransactions = [];
+    for (const txData of parsed.pendingTransactions || []) {
+      try {
+        const transaction = Transaction.fromJSON(txData);
+        if (await transaction.isValid()) {
+          blockchain.pendingTransactions.push(transaction);
+        }
+      } catch (error) {
+        console.log('丢弃无效的待处理交易:', error.message);
+      }
+    }
+
+    if (isNonNegativeInteger(parsed.difficulty)) {
       blockchain.difficulty = parsed.difficulty;
+    }
+    if (typeof parsed.miningReward === 'number') {
       blockchain.miningReward = parsed.miningReward;
-      return blockchain;
-    } catch (e) {
-      console.error("区块链反序列化失败:", e);
-      return new Blockchain();
     }
+    return blockchain;
+  }
+}
+
+// 验证交易签名，签名缺失时视为无效而不是抛出异常
+async function isTransactionSignatureValid(transaction) {
+  try {
+    return await transaction.isValid();
+  } catch (error) {
+    return false;
   }
 }
 
-export { Blockchain, Transaction, Block };
\ No newline at end of file
+export { Blockchain, Transaction, Block, TransactionError };
\ No newline at end of file
@@ -1,188 +1,1195 @@
 // blockchain.js - 区块链核心实现
 const crypto = require('crypto');
+const EventEmitter = require('events');
 const EC = require('elliptic').ec;
 const ec = new EC('secp256k1');
+const config = require('./config');
+const { computeMerkleRoot, getMerkleProof } = require('./merkle');
+const { publicKeyToAddress, normalizeMultisigKeys, multisigToAddress, isValidAddress } = require('./address');
+
+// 交易校验错误，code 用于API返回明确的错误码
+class TransactionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TransactionError';
+    this.code = code;
+  }
+}
+
+// 反序列化时的基础类型检查
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isHexString(value) {
+  return typeof value === 'string' && /^[0-9a-f]*$/i.test(value);
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
+// 区块校验错误，code 用于API返回明确的错误码
+class BlockError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'BlockError';
+    this.code = code;
+  }
+}
+
+// 验证交易签名，签名缺失或公钥格式错误时视为无效而不是抛出异常
+function isTransactionSignatureValid(transaction) {
+  try {
+    return transaction.isValid();
+  } catch (error) {
+    return false;
+  }
+}
 
 class Block {
-  constructor(timestamp, transactions, previousHash = '') {
+  constructor(timestamp, transactions, previousHash = '', difficulty = config.DIFFICULTY) {
     this.timestamp = timestamp;
     this.transactions = transactions;
     this.previousHash = previousHash;
-    this.hash = this.calculateHash();
+    this.difficulty = difficulty;
+    this.merkleRoot = this.calculateMerkleRoot();
     this.nonce = 0;
+    this.hash = this.calculateHash();
   }
 
+  // 区块头通过Merkle根承诺区块内的全部交易
   calculateHash() {
+    return Block.calculateHeaderHash(this);
+  }
+
+  // 只依赖区块头字段计算哈希 (挖矿线程无需传输完整交易列表)
+  static calculateHeaderHash(header) {
     return crypto.createHash('sha256')
-      .update(this.previousHash + 
-              this.timestamp + 
-              JSON.stringify(this.transactions) + 
-              this.nonce)
+      .update(header.previousHash + 
+              header.timestamp + 
+              header.merkleRoot + 
+              header.nonce +
+              header.difficulty)
       .digest('hex');
   }
 
+  getTransactionHashes() {
+    return this.transactions.map(tx => tx.calculateHash());
+  }
+
+  // 区块头 (不含交易列表)，用于P2P同步时先下载区块头
+  getHeader() {
+    return {
+      hash: this.hash,
+      previousHash: this.previousHash,
+      timestamp: this.timestamp,
+      merkleRoot: this.merkleRoot,
+      nonce: this.nonce,
+      difficulty: this.difficulty
+    };
+  }
+
+  // 检查区块头的哈希和工作量证明 (不需要交易列表)，难度不能低于下限
+  static isValidHeader(header) {
+    const target = Array(header.difficulty + 1).join('0');
+    return header.difficulty >= config.MIN_DIFFICULTY &&
+      header.hash === Block.calculateHeaderHash(header) && header.hash.substring(0, header.difficulty) === target;
+  }
+
+  calculateMerkleRoot() {
+    return computeMerkleRoot(this.getTransactionHashes());
+  }
+
+  // 检查区块头中的Merkle根是否与交易列表一致
+  hasValidMerkleRoot() {
+    return this.merkleRoot === this.calculateMerkleRoot();
+  }
+
   // 工作量证明 (PoW)
-  mineBlock(difficulty) {
-    const target = Array(difficulty + 1).join('0');
-    
-    while (this.hash.substring(0, difficulty) !== target) {
+  mineBlock(difficulty = this.difficulty) {
+    this.difficulty = difficulty;
+    this.hash = this.calculateHash();
+
+    while (!this.hasValidProofOfWork()) {
       this.nonce++;
       this.hash = this.calculateHash();
     }
     
     console.log(`Block mined: ${this.hash}`);
   }
+
+  // 检查哈希是否满足区块声明的难度
+  hasValidProofOfWork() {
+    const target = Array(this.difficulty + 1).join('0');
+    return this.hash.substring(0, this.difficulty) === target;
+  }
+
+  // 从JSON数据(P2P消息、持久化存储)重建区块实例，结构不合法时抛出错误
+  // 哈希和Merkle根保持原值，由 isChainValid 负责校验
+  static fromJSON(data) {
+    if (!isPlainObject(data)) {
+      throw new Error('Invalid block: expected an object');
+    }
+    if (!isNonNegativeInteger(data.timestamp)) {
+      throw new Error('Invalid block: timestamp must be a non-negative integer');
+    }
+    if (!Array.isArray(data.transactions)) {
+      throw new Error('Invalid block: transactions must be an array');
+    }
+    if (typeof data.previousHash !== 'string') {
+      throw new Error('Invalid block: previousHash must be a string');
+    }
+    if (!isNonNegativeInteger(data.difficulty) || !isNonNegativeInteger(data.nonce)) {
+      throw new Error('Invalid block: difficulty and nonce must be non-negative integers');
+    }
+    if (!isHexString(data.hash) || !isHexString(data.merkleRoot)) {
+      throw new Error('Invalid block: hash and merkleRoot must be hex strings');
+    }
+
+    const transactions = data.transactions.map(tx => Transaction.fromJSON(tx));
+    const block = new Block(data.timestamp, transactions, data.previousHash, data.difficulty);
+    block.merkleRoot = data.merkleRoot;
+    block.nonce = data.nonce;
+    block.hash = data.hash;
+
+    return block;
+  }
 }
 
 class Transaction {
-  constructor(fromAddress, toAddress, amount) {
+  constructor(fromAddress, toAddress, amount, nonce = 0, fee = 0, lockTime = 0) {
     this.fromAddress = fromAddress;
     this.toAddress = toAddress;
     this.amount = amount;
+    this.nonce = nonce; // 账户nonce，防止交易重放
+    this.fee = fee; // 支付给矿工的手续费
+    this.lockTime = lockTime; // 最早可被打包的区块高度或时间戳，0 表示不锁定
     this.timestamp = Date.now();
   }
 
+  // 签名、公钥和多签信息都不参与交易哈希计算
+  // 各字段编码为JSON数组，字段之间有分隔符，已签名的交易不能通过移动数字边界改写 (例如把 nonce=1, fee=20 改为 nonce=12, fee=0)
   calculateHash() {
     return crypto.createHash('sha256')
-      .update(this.fromAddress + this.toAddress + this.amount + this.timestamp)
+      .update(JSON.stringify([
+        this.fromAddress,
+        this.toAddress,
+        this.amount,
+        this.timestamp,
+        this.nonce,
+        this.fee,
+        this.lockTime
+      ]))
       .digest('hex');
   }
 
+  // lockTime 的含义: 小于 LOCKTIME_THRESHOLD 为区块高度，否则为时间戳
+  isLockedByHeight() {
+    return this.lockTime < config.LOCKTIME_THRESHOLD;
+  }
+
+  // 交易能否被打包进指定高度和时间戳的区块
+  isMature(height, timestamp) {
+    if (!this.lockTime) {
+      return true;
+    }
+    return this.isLockedByHeight() ? height >= this.lockTime : timestamp >= this.lockTime;
+  }
+
+  // 发送方需要支付的总额 (金额 + 手续费)
+  getTotalCost() {
+    return this.amount + this.fee;
+  }
+
+  // 交易序列化后的字节数，用于区块大小限制
+  getSize() {
+    return Buffer.byteLength(JSON.stringify(this));
+  }
+
+  isMultisig() {
+    return this.multisig !== undefined;
+  }
+
   signTransaction(signingKey) {
-    if (signingKey.getPublic('hex') !== this.fromAddress) {
-      throw new Error('You cannot sign transactions for other wallets!');
+    if (this.isMultisig()) {
+      return this.addMultisigSignature(signingKey);
+    }
+
+    if (publicKeyToAddress(signingKey.getPublic('hex')) !== this.fromAddress) {
+      throw new TransactionError('INVALID_SIGNER', 'You cannot sign transactions for other wallets!');
     }
 
     const hashTx = this.calculateHash();
     const sig = signingKey.sign(hashTx, 'base64');
     this.signature = sig.toDER('hex');
+    // 公钥随签名一起传递，验证时检查它是否对应发送方地址
+    this.publicKey = signingKey.getPublic(true, 'hex');
+  }
+
+  // 多签交易: 添加 (或替换) 一个签名方的签名，签名不足时可以把交易JSON交给下一个签名方
+  addMultisigSignature(signingKey) {
+    const publicKey = signingKey.getPublic(true, 'hex');
+    if (!this.multisig.publicKeys.includes(publicKey)) {
+      throw new TransactionError('INVALID_SIGNER', 'Key is not part of this multisig address');
+    }
+
+    const signature = signingKey.sign(this.calculateHash()).toDER('hex');
+    this.signatures = this.signatures.filter(entry => entry.publicKey !== publicKey);
+    this.signatures.push({ publicKey, signature });
+  }
+
+  // 多签交易: 至少 M 个不同签名方的有效签名
+  isMultisigValid() {
+    const { m, publicKeys } = this.multisig;
+    if (!Number.isInteger(m) || m < 1 || m > publicKeys.length || publicKeys.length > config.MAX_MULTISIG_KEYS) {
+      return false;
+    }
+
+    // 公钥集合和阈值必须与发送方多签地址一致
+    let keys;
+    try {
+      keys = normalizeMultisigKeys(publicKeys);
+    } catch (error) {
+      return false;
+    }
+    if (new Set(keys).size !== keys.length || multisigToAddress(m, keys) !== this.fromAddress) {
+      return false;
+    }
+
+    const signers = new Set(this.signatures.map(entry => entry.publicKey));
+    if (signers.size !== this.signatures.length) {
+      return false;
+    }
+    if (signers.size < m) {
+      throw new TransactionError(
+        'INSUFFICIENT_SIGNATURES',
+        `Multisig transaction needs ${m} signatures, got ${signers.size}`
+      );
+    }
+
+    const hashTx = this.calculateHash();
+    return this.signatures.every(entry =>
+      keys.includes(entry.publicKey) &&
+      ec.keyFromPublic(entry.publicKey, 'hex').verify(hashTx, entry.signature)
+    );
   }
 
   isValid() {
     if (this.fromAddress === null) return true; // 挖矿奖励交易
 
+    if (this.isMultisig()) {
+      return this.isMultisigValid();
+    }
+
     if (!this.signature || this.signature.length === 0) {
-      throw new Error('No signature in this transaction');
+      throw new TransactionError('MISSING_SIGNATURE', 'No signature in this transaction');
     }
 
-    const publicKey = ec.keyFromPublic(this.fromAddress, 'hex');
+    if (!this.publicKey) {
+      throw new TransactionError('MISSING_PUBLIC_KEY', 'No public key in this transaction');
+    }
+
+    // 公钥必须对应发送方地址，否则任何人都可以用自己的密钥花费别人的余额
+    if (publicKeyToAddress(this.publicKey) !== this.fromAddress) {
+      return false;
+    }
+
+    const publicKey = ec.keyFromPublic(this.publicKey, 'hex');
     return publicKey.verify(this.calculateHash(), this.signature);
   }
+
+  // 金额必须是正的有限数值
+  static isValidAmount(amount) {
+    return typeof amount === 'number' && Number.isFinite(amount) && amount > 0;
+  }
+
+  // 手续费必须是非负的有限数值
+  static isValidFee(fee) {
+    return typeof fee === 'number' && Number.isFinite(fee) && fee >= 0;
+  }
+
+  // 创建从多签地址转出的交易 (尚未签名)，各签名方依次调用 signTransaction 添加签名
+  static createMultisig(m, publicKeys, toAddress, amount, nonce = 0, fee = 0, lockTime = 0) {
+    if (!Number.isInteger(m) || m < 1 || m > publicKeys.length || publicKeys.length > config.MAX_MULTISIG_KEYS) {
+      throw new TransactionError(
+        'INVALID_MULTISIG',
+        `Multisig requires 1 <= M <= N <= ${config.MAX_MULTISIG_KEYS}, got ${m}-of-${publicKeys.length}`
+      );
+    }
+
+    const keys = normalizeMultisigKeys(publicKeys);
+    const transaction = new Transaction(multisigToAddress(m, keys), toAddress, amount, nonce, fee, lockTime);
+    transaction.multisig = { m, publicKeys: keys };
+    transaction.signatures = [];
+    return transaction;
+  }
+
+  // 从JSON数据(P2P消息、持久化存储)重建交易实例，结构不合法时抛出错误
+  static fromJSON(data) {
+    if (!isPlainObject(data)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: expected an object');
+    }
+    if (data.fromAddress !== null && typeof data.fromAddress !== 'string') {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: fromAddress must be a string or null');
+    }
+    if (typeof data.toAddress !== 'string' || data.toAddress.length === 0) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: toAddress must be a non-empty string');
+    }
+    if (typeof data.amount !== 'number' || !Number.isFinite(data.amount)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: amount must be a finite number');
+    }
+    if (!isNonNegativeInteger(data.timestamp) || !isNonNegativeInteger(data.nonce)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: timestamp and nonce must be non-negative integers');
+    }
+    if (data.fee !== undefined && (typeof data.fee !== 'number' || !Number.isFinite(data.fee))) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: fee must be a finite number');
+    }
+    if (data.lockTime !== undefined && !isNonNegativeInteger(data.lockTime)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: lockTime must be a non-negative integer');
+    }
+    if (data.signature !== undefined && data.signature !== null && !isHexString(data.signature)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: signature must be a hex string');
+    }
+    if (data.publicKey !== undefined && data.publicKey !== null && !isHexString(data.publicKey)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: publicKey must be a hex string');
+    }
+
+    if (data.multisig !== undefined && (
+      !isPlainObject(data.multisig) || !Number.isInteger(data.multisig.m) ||
+      !Array.isArray(data.multisig.publicKeys) || !data.multisig.publicKeys.every(isHexString) ||
+      !Array.isArray(data.signatures) ||
+      !data.signatures.every(entry => isPlainObject(entry) && isHexString(entry.publicKey) && isHexString(entry.signature))
+    )) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: malformed multisig data or signatures');
+    }
+
+    const fee = data.fee === undefined ? 0 : data.fee;
+    const lockTime = data.lockTime === undefined ? 0 : data.lockTime;
+    const transaction = new Transaction(data.fromAddress, data.toAddress, data.amount, data.nonce, fee, lockTime);
+    transaction.timestamp = data.timestamp;
+    if (data.signature) {
+      transaction.signature = data.signature;
+    }
+    if (data.publicKey) {
+      transaction.publicKey = data.publicKey;
+    }
+    if (data.multisig !== undefined) {
+      transaction.multisig = { m: data.multisig.m, publicKeys: data.multisig.publicKeys.slice() };
+      transaction.signatures = data.signatures.map(entry => ({ publicKey: entry.publicKey, signature: entry.signature }));
+    }
+
+    return transaction;
+  }
 }
 
-class Blockchain {
+class Blockchain extends EventEmitter {
   constructor() {
+    super();
     this.chain = [this.createGenesisBlock()];
-    this.difficulty = 2; // 挖矿难度
     this.pendingTransactions = [];
-    this.miningReward = 100; // 挖矿奖励
+    this.tipState = null; // 链尾区块之后的余额和nonce { hash, state }，追加区块时不必重新验证整条链
   }
 
+  // 创世区块使用固定时间戳，保证所有节点的创世区块哈希一致
   createGenesisBlock() {
-    return new Block(Date.now(), [], '0');
+    return new Block(config.GENESIS_TIMESTAMP, [], '0');
   }
 
   getLatestBlock() {
     return this.chain[this.chain.length - 1];
   }
 
+  // 区块哈希对应的高度，不在当前链上时返回 -1
+  getBlockHeight(hash) {
+    return this.chain.findIndex(block => block.hash === hash);
+  }
+
+  // 区块定位器: 最近10个区块的哈希，之后间隔成倍增加，最后是创世区块
+  // 对方据此找到双方链的分叉点，只需发送之后的区块头
+  getBlockLocator() {
+    const locator = [];
+    let step = 1;
+
+    for (let height = this.chain.length - 1; height > 0; height -= step) {
+      locator.push(this.chain[height].hash);
+      if (locator.length >= 10) {
+        step *= 2;
+      }
+    }
+
+    locator.push(this.chain[0].hash);
+    return locator;
+  }
+
+  // 返回定位器中第一个在当前链上的区块之后的最多 limit 个区块头
+  getHeadersAfterLocator(locator, limit) {
+    const heights = new Map(this.chain.map((block, height) => [block.hash, height]));
+    const known = locator.find(hash => heights.has(hash));
+    const start = known === undefined ? 1 : heights.get(known) + 1;
+
+    return this.chain.slice(start, start + limit).map(block => block.getHeader());
+  }
+
+  // 按哈希查找区块 (找不到的跳过)
+  getBlocksByHash(hashes) {
+    const blocks = new Map(this.chain.map(block => [block.hash, block]));
+    return hashes.filter(hash => blocks.has(hash)).map(hash => blocks.get(hash));
+  }
+
+  // 获取下一个区块的挖矿难度
+  getDifficulty() {
+    return this.getDifficultyAt(this.chain.length);
+  }
+
+  // 计算指定高度的区块应使用的难度 (每隔DIFFICULTY_ADJUSTMENT_INTERVAL个区块调整一次)
+  getDifficultyAt(height) {
+    if (height === 0) {
+      return config.DIFFICULTY;
+    }
+
+    const previousBlock = this.chain[height - 1];
+    if (height % config.DIFFICULTY_ADJUSTMENT_INTERVAL !== 0) {
+      return previousBlock.difficulty;
+    }
+
+    // 比较上一个调整周期的实际出块时间与期望时间
+    // 创世区块的时间戳是固定值，不参与出块时间统计
+    const adjustmentHeight = Math.max(1, height - config.DIFFICULTY_ADJUSTMENT_INTERVAL);
+    const blockIntervals = height - 1 - adjustmentHeight;
+    if (blockIntervals <= 0) {
+      return previousBlock.difficulty;
+    }
+
+    const adjustmentBlock = this.chain[adjustmentHeight];
+    const timeExpected = config.BLOCK_GENERATION_INTERVAL * blockIntervals;
+    const timeTaken = previousBlock.timestamp - adjustmentBlock.timestamp;
+
+    if (timeTaken < timeExpected / 2) {
+      return previousBlock.difficulty + 1;
+    }
+    if (timeTaken > timeExpected * 2) {
+      return Math.max(config.MIN_DIFFICULTY, previousBlock.difficulty - 1);
+    }
+    return previousBlock.difficulty;
+  }
+
+  // 按减半计划计算指定高度区块的基础奖励
+  getBlockSubsidy(height) {
+    const halvings = Math.floor(height / config.HALVING_INTERVAL);
+    if (halvings >= 64) {
+      return 0;
+    }
+    return config.MINING_REWARD / Math.pow(2, halvings);
+  }
+
+  // 高度 1..height 的区块累计发行量 (创世区块没有奖励)，不超过最大供应量
+  getIssuedSupply(height) {
+    let supply = 0;
+
+    for (let era = 0; era < 64; era++) {
+      const start = Math.max(1, era * config.HALVING_INTERVAL);
+      const end = Math.min(height, (era + 1) * config.HALVING_INTERVAL - 1);
+      if (start > end) {
+        break;
+      }
+      supply += (end - start + 1) * this.getBlockSubsidy(start);
+    }
+
+    return Math.min(supply, config.MAX_SUPPLY);
+  }
+
+  // 指定高度区块的挖矿奖励，不能超过剩余可发行量
+  getBlockReward(height) {
+    if (height === 0) {
+      return 0;
+    }
+    return Math.min(this.getBlockSubsidy(height), config.MAX_SUPPLY - this.getIssuedSupply(height - 1));
+  }
+
+  // 代币供应情况
+  getSupplyInfo() {
+    const height = this.chain.length - 1;
+    const circulating = this.getIssuedSupply(height);
+
+    return {
+      height,
+      circulating,
+      remaining: config.MAX_SUPPLY - circulating,
+      maxSupply: config.MAX_SUPPLY,
+      currentReward: this.getBlockReward(height + 1),
+      halvingInterval: config.HALVING_INTERVAL,
+      nextHalvingHeight: (Math.floor((height + 1) / config.HALVING_INTERVAL) + 1) * config.HALVING_INTERVAL
+    };
+  }
+
+  // 区块时间戳不能早于上一个区块太多，也不能超前于当前时间太多
+  isValidTimestamp(block, previousBlock) {
+    return block.timestamp > previousBlock.timestamp - config.TIMESTAMP_TOLERANCE &&
+      block.timestamp < Date.now() + config.TIMESTAMP_TOLERANCE;
+  }
+
   minePendingTransactions(miningRewardAddress) {
-    // 创建奖励交易
-    const rewardTx = new Transaction(null, miningRewardAddress, this.miningReward);
-    this.pendingTransactions.push(rewardTx);
-    
     // 创建新区块并进行挖矿
-    const block = new Block(Date.now(), this.pendingTransactions, this.getLatestBlock().hash);
-    block.mineBlock(this.difficulty);
+    const block = this.createCandidateBlock(miningRewardAddress);
+    block.mineBlock();
     
     console.log('Block successfully mined!');
+    this.addBlock(block);
+    return block;
+  }
+
+  // 基于当前链尾和交易池构建待挖矿的区块 (尚未完成工作量证明)
+  createCandidateBlock(miningRewardAddress) {
+    if (!isValidAddress(miningRewardAddress)) {
+      throw new TransactionError('INVALID_ADDRESS', 'Invalid miner address (bad format or checksum)');
+    }
+
+    // 从交易池中选出本区块要打包的交易 (时间锁未到期的交易留在交易池中)
+    const height = this.chain.length;
+    const timestamp = Date.now();
+    const transactions = this.selectTransactionsForBlock(height, timestamp);
+    const fees = transactions.reduce((sum, tx) => sum + tx.fee, 0);
+
+    // 创建奖励交易 (以区块高度作为nonce，保证奖励交易的哈希唯一)，矿工获得区块奖励和全部手续费
+    const rewardTx = new Transaction(null, miningRewardAddress, this.getBlockReward(height) + fees, height);
+
+    return new Block(timestamp, [...transactions, rewardTx], this.getLatestBlock().hash, this.getDifficulty());
+  }
+
+  // 为外部矿工生成区块模板: 矿工只需搜索nonce (也可以更新时间戳)，完成后通过 submitBlock 提交
+  getBlockTemplate(miningRewardAddress) {
+    const block = this.createCandidateBlock(miningRewardAddress);
+    const transactions = block.transactions.slice(0, -1);
+
+    return {
+      height: this.chain.length,
+      previousHash: block.previousHash,
+      difficulty: block.difficulty,
+      target: Array(block.difficulty + 1).join('0'),
+      timestamp: block.timestamp,
+      merkleRoot: block.merkleRoot,
+      transactions,
+      coinbase: block.transactions[block.transactions.length - 1],
+      fees: transactions.reduce((sum, tx) => sum + tx.fee, 0)
+    };
+  }
+
+  // 接收外部矿工提交的区块，校验工作量证明后追加到链尾
+  submitBlock(blockData) {
+    let block;
+    try {
+      block = Block.fromJSON(blockData);
+    } catch (error) {
+      throw new BlockError('MALFORMED_BLOCK', error.message);
+    }
+
+    if (block.hash !== block.calculateHash() || !block.hasValidProofOfWork()) {
+      throw new BlockError('INVALID_POW', 'Block hash does not match its header or does not meet the difficulty');
+    }
+
+    this.addBlock(block);
+    return block;
+  }
+
+  // 在链尾追加一个已完成工作量证明的区块，验证失败时抛出 BlockError
+  addBlock(block) {
+    if (block.previousHash !== this.getLatestBlock().hash) {
+      throw new BlockError('STALE_BLOCK', 'Block does not extend the current chain tip');
+    }
+
+    // 只验证新区块，之前的区块已经验证过
+    const state = this.getTipValidationState();
     this.chain.push(block);
-    
-    // 重置待处理交易
-    this.pendingTransactions = [];
+    if (!this.isValidBlockAt(this.chain.length - 1, state)) {
+      this.chain.pop();
+      throw new BlockError('INVALID_BLOCK', 'Block failed validation');
+    }
+    this.tipState = { hash: block.hash, state };
+
+    // 从交易池中移除已打包的交易，剩余交易按新链尾的nonce和余额重新检查
+    const included = new Set(block.getTransactionHashes());
+    this.prunePendingTransactions(this.pendingTransactions.filter(tx => !included.has(tx.calculateHash())));
+
+    this.emit('chainUpdated');
+    this.emit('mempoolUpdated');
+  }
+
+  // 按手续费从高到低选择交易，同一账户的交易按nonce顺序打包，并遵守区块容量限制
+  // 时间锁未到期的交易及同一账户后续nonce的交易不会被选中
+  selectTransactionsForBlock(height = this.chain.length, timestamp = Date.now()) {
+    const queues = new Map();
+    for (const tx of this.pendingTransactions) {
+      if (!queues.has(tx.fromAddress)) {
+        queues.set(tx.fromAddress, []);
+      }
+      queues.get(tx.fromAddress).push(tx);
+    }
+    for (const queue of queues.values()) {
+      queue.sort((a, b) => a.nonce - b.nonce);
+    }
+
+    const selected = [];
+    let blockSize = 0;
+
+    while (selected.length < config.MAX_BLOCK_TRANSACTIONS && queues.size > 0) {
+      // 每个账户只能打包nonce最小的交易，从中选出手续费最高的一笔
+      let bestSender = null;
+      for (const [sender, queue] of queues) {
+        if (bestSender === null || queue[0].fee > queues.get(bestSender)[0].fee) {
+          bestSender = sender;
+        }
+      }
+
+      const queue = queues.get(bestSender);
+      const tx = queue[0];
+
+      // 放不下或时间锁未到期的交易及其后续nonce的交易都留在交易池中
+      if (!tx.isMature(height, timestamp) || blockSize + tx.getSize() > config.MAX_BLOCK_SIZE) {
+        queues.delete(bestSender);
+        continue;
+      }
+
+      selected.push(queue.shift());
+      blockSize += tx.getSize();
+      if (queue.length === 0) {
+        queues.delete(bestSender);
+      }
+    }
+
+    return selected;
+  }
+
+  // 根据最近区块中已打包交易的手续费估算建议手续费
+  estimateFee(blockCount = config.FEE_ESTIMATE_BLOCKS) {
+    const fees = [];
+    for (const block of this.chain.slice(-blockCount)) {
+      for (const tx of block.transactions) {
+        if (tx.fromAddress !== null) {
+          fees.push(tx.fee);
+        }
+      }
+    }
+    fees.sort((a, b) => a - b);
+
+    const percentile = p => fees.length === 0 ? 0 : fees[Math.min(fees.length - 1, Math.floor(fees.length * p))];
+    const estimate = {
+      low: percentile(0.25),
+      medium: percentile(0.5),
+      high: percentile(0.9),
+      sampleSize: fees.length,
+      blocks: Math.min(blockCount, this.chain.length),
+      pendingTransactions: this.pendingTransactions.length
+    };
+
+    // 交易池超出一个区块的容量时，建议手续费至少要高于能进入下一个区块的最低手续费
+    // (交易都被时间锁挡住时下一个区块可能一笔交易都没有，此时不调整)
+    if (this.pendingTransactions.length > config.MAX_BLOCK_TRANSACTIONS) {
+      const next = this.selectTransactionsForBlock();
+      if (next.length > 0) {
+        const minIncludedFee = Math.min(...next.map(tx => tx.fee));
+        estimate.medium = Math.max(estimate.medium, minIncludedFee);
+        estimate.high = Math.max(estimate.high, estimate.medium);
+      }
+    }
+
+    return estimate;
   }
 
   addTransaction(transaction) {
     // 验证交易
     if (!transaction.fromAddress || !transaction.toAddress) {
-      throw new Error('Transaction must include from and to address');
+      throw new TransactionError('MISSING_ADDRESS', 'Transaction must include from and to address');
+    }
+
+    // 拒绝格式或校验和错误的地址，避免把币发送到无人能花费的地址
+    if (!isValidAddress(transaction.fromAddress) || !isValidAddress(transaction.toAddress)) {
+      throw new TransactionError('INVALID_ADDRESS', 'Transaction contains an invalid address (bad format or checksum)');
+    }
+
+    if (!Transaction.isValidAmount(transaction.amount)) {
+      throw new TransactionError('INVALID_AMOUNT', 'Transaction amount must be a positive number');
+    }
+
+    if (!Transaction.isValidFee(transaction.fee)) {
+      throw new TransactionError('INVALID_FEE', 'Transaction fee must be a non-negative number');
+    }
+
+    // 时间锁未到期的交易可以进入交易池，到期后才会被打包
+    if (!isNonNegativeInteger(transaction.lockTime)) {
+      throw new TransactionError('INVALID_LOCK_TIME', 'Transaction lockTime must be a non-negative integer');
     }
 
-    // 特殊处理：如果是重新构建接收到的交易对象，可能没有isValid方法
-    if (typeof transaction.isValid === 'function' && !transaction.isValid()) {
-      throw new Error('Cannot add invalid transaction to chain');
+    // nonce必须正好是该账户的下一个nonce (已确认 + 交易池中的交易数)
+    const expectedNonce = this.getNextNonce(transaction.fromAddress);
+    if (!Number.isInteger(transaction.nonce) || transaction.nonce < expectedNonce) {
+      throw new TransactionError(
+        'NONCE_TOO_LOW',
+        `Nonce already used or invalid: expected ${expectedNonce}, got ${transaction.nonce}`
+      );
+    }
+    if (transaction.nonce > expectedNonce) {
+      throw new TransactionError(
+        'NONCE_GAP',
+        `Nonce out of order: expected ${expectedNonce}, got ${transaction.nonce}`
+      );
+    }
+
+    if (!transaction.isValid()) {
+      throw new TransactionError('INVALID_SIGNATURE', 'Cannot add invalid transaction to chain');
+    }
+
+    // 余额需扣除该地址在交易池中尚未确认的支出
+    const available = this.getAvailableBalance(transaction.fromAddress);
+    if (transaction.getTotalCost() > available) {
+      throw new TransactionError(
+        'INSUFFICIENT_FUNDS',
+        `Insufficient funds: available ${available}, required ${transaction.getTotalCost()}`
+      );
     }
     
-    this.pendingTransactions.push(transaction);
+    // 交易池按手续费从高到低排列，手续费相同时保持先来后到
+    const index = this.pendingTransactions.findIndex(tx => tx.fee < transaction.fee);
+    if (index === -1) {
+      this.pendingTransactions.push(transaction);
+    } else {
+      this.pendingTransactions.splice(index, 0, transaction);
+    }
+
+    this.emit('mempoolUpdated');
   }
 
-  getBalanceOfAddress(address) {
-    let balance = 0;
+  // 交易池内容及每笔交易何时可以被打包
+  // 同一账户的交易按nonce顺序打包，前面的交易未到期时后续交易也要等待
+  getMempool() {
+    const height = this.chain.length;
+    const now = Date.now();
+    const blockedSenders = new Set();
 
-    for (const block of this.chain) {
-      for (const trans of block.transactions) {
-        if (trans.fromAddress === address) {
-          balance -= trans.amount;
+    const entries = [...this.pendingTransactions]
+      .sort((a, b) => a.nonce - b.nonce)
+      .map(tx => {
+        const mature = tx.isMature(height, now);
+        const eligible = mature && !blockedSenders.has(tx.fromAddress);
+        if (!eligible) {
+          blockedSenders.add(tx.fromAddress);
+        }
+
+        let eligibleAt = null;
+        if (tx.lockTime) {
+          eligibleAt = tx.isLockedByHeight() ? { height: tx.lockTime } : { timestamp: tx.lockTime };
         }
 
-        if (trans.toAddress === address) {
-          balance += trans.amount;
+        return { txHash: tx.calculateHash(), eligible, mature, eligibleAt, transaction: tx };
+      });
+
+    // 与交易池一致，按手续费从高到低排列
+    const order = new Map(this.pendingTransactions.map((tx, index) => [tx, index]));
+    entries.sort((a, b) => order.get(a.transaction) - order.get(b.transaction));
+
+    return {
+      height,
+      size: entries.length,
+      eligible: entries.filter(entry => entry.eligible).length,
+      transactions: entries
+    };
+  }
+
+  // 计算地址在交易池中待确认的支出总额 (含手续费)
+  getPendingSpend(address) {
+    return this.pendingTransactions
+      .filter(tx => tx.fromAddress === address)
+      .reduce((sum, tx) => sum + tx.getTotalCost(), 0);
+  }
+
+  // 可用余额 = 已确认余额 - 交易池中的待支出
+  getAvailableBalance(address) {
+    return this.getBalanceOfAddress(address) - this.getPendingSpend(address);
+  }
+
+  // 已确认的账户nonce (即该地址在链上发出的交易数)
+  getNonceOfAddress(address) {
+    return this.getTipState().nonces.get(address) || 0;
+  }
+
+  // 构建下一笔交易应使用的nonce (包含交易池中待确认的交易)
+  getNextNonce(address) {
+    const pendingCount = this.pendingTransactions
+      .filter(tx => tx.fromAddress === address)
+      .length;
+    return this.getNonceOfAddress(address) + pendingCount;
+  }
+
+  getBalanceOfAddress(address) {
+    return this.getTipState().balances.get(address) || 0;
+  }
+
+  // 地址的交易记录: 已确认的交易按区块高度排列，之后是交易池中待确认的交易
+  getTransactionHistory(address) {
+    const history = [];
+
+    this.chain.forEach((block, height) => {
+      for (const tx of block.transactions) {
+        if (tx.fromAddress === address || tx.toAddress === address) {
+          history.push({
+            txHash: tx.calculateHash(),
+            status: 'confirmed',
+            blockHeight: height,
+            blockHash: block.hash,
+            confirmations: this.chain.length - height,
+            transaction: tx
+          });
         }
       }
+    });
+
+    for (const tx of this.pendingTransactions) {
+      if (tx.fromAddress === address || tx.toAddress === address) {
+        history.push({
+          txHash: tx.calculateHash(),
+          status: 'pending',
+          confirmations: 0,
+          transaction: tx
+        });
+      }
     }
 
-    return balance;
+    return history;
+  }
+
+  // 生成交易包含证明 (交易所在区块及Merkle分支)
+  getTransactionProof(txHash) {
+    for (let height = 0; height < this.chain.length; height++) {
+      const block = this.chain[height];
+      const hashes = block.getTransactionHashes();
+      const index = hashes.indexOf(txHash);
+
+      if (index !== -1) {
+        return {
+          txHash,
+          blockHash: block.hash,
+          blockHeight: height,
+          merkleRoot: block.merkleRoot,
+          index,
+          proof: getMerkleProof(hashes, index)
+        };
+      }
+    }
+
+    return null;
   }
 
   // 验证区块链的有效性
   isChainValid() {
-    for (let i = 1; i < this.chain.length; i++) {
-      const currentBlock = this.chain[i];
-      const previousBlock = this.chain[i - 1];
+    // 逐块累计余额和nonce，用于检查区块内的交易是否超支或重放
+    const state = { balances: new Map(), nonces: new Map() };
 
-      // 验证区块哈希
-      if (currentBlock.hash !== currentBlock.calculateHash()) {
+    for (let i = 1; i < this.chain.length; i++) {
+      if (!this.isValidBlockAt(i, state)) {
         return false;
       }
+    }
+
+    return true;
+  }
+
+  // 验证高度 i 的区块 (之前的区块必须已经通过验证)，state 为之前区块累计的余额和nonce
+  // state 在验证过程中更新，验证失败后不能继续使用；同步时逐块调用，不必每下载一批区块就重新验证整条链
+  isValidBlockAt(i, state) {
+    const { balances, nonces } = state;
+    const currentBlock = this.chain[i];
+    const previousBlock = this.chain[i - 1];
+
+    // 验证区块哈希和Merkle根
+    if (currentBlock.hash !== currentBlock.calculateHash() || !currentBlock.hasValidMerkleRoot()) {
+      return false;
+    }
+
+    // 验证区块链接
+    if (currentBlock.previousHash !== previousBlock.hash) {
+      return false;
+    }
+
+    // 验证难度与工作量证明
+    if (currentBlock.difficulty !== this.getDifficultyAt(i) || !currentBlock.hasValidProofOfWork()) {
+      return false;
+    }
+
+    // 验证时间戳
+    if (!this.isValidTimestamp(currentBlock, previousBlock)) {
+      return false;
+    }
+
+    // 验证区块容量限制 (不含奖励交易)
+    const blockTransactions = currentBlock.transactions.filter(tx => tx.fromAddress !== null);
+    const blockSize = blockTransactions.reduce((size, tx) => size + tx.getSize(), 0);
+    if (blockTransactions.length > config.MAX_BLOCK_TRANSACTIONS || blockSize > config.MAX_BLOCK_SIZE) {
+      return false;
+    }
+
+    // 验证奖励交易: 每个区块恰好一笔且位于最后，金额等于区块奖励加手续费
+    const rewardTx = currentBlock.transactions[currentBlock.transactions.length - 1];
+    if (!rewardTx || rewardTx.fromAddress !== null || blockTransactions.length !== currentBlock.transactions.length - 1) {
+      return false;
+    }
+    const fees = blockTransactions.reduce((sum, tx) => sum + tx.fee, 0);
+    if (rewardTx.amount !== this.getBlockReward(i) + fees || rewardTx.nonce !== i || rewardTx.fee !== 0) {
+      return false;
+    }
 
-      // 验证区块链接
-      if (currentBlock.previousHash !== previousBlock.hash) {
+    // 验证区块内交易 (如果非挖矿奖励)
+    for (const tx of currentBlock.transactions) {
+      if (!isValidAddress(tx.toAddress)) {
         return false;
       }
 
-      // 验证区块内交易 (如果非挖矿奖励)
-      for (const tx of currentBlock.transactions) {
-        if (tx.fromAddress !== null && typeof tx.isValid === 'function' && !tx.isValid()) {
+      if (tx.fromAddress !== null) {
+        if (!isTransactionSignatureValid(tx)) {
+          return false;
+        }
+
+        // 时间锁必须在本区块的高度和时间戳之前到期
+        if (!isNonNegativeInteger(tx.lockTime) || !tx.isMature(i, currentBlock.timestamp)) {
+          return false;
+        }
+
+        const balance = balances.get(tx.fromAddress) || 0;
+        if (!Transaction.isValidAmount(tx.amount) || !Transaction.isValidFee(tx.fee) || tx.getTotalCost() > balance) {
+          return false;
+        }
+        balances.set(tx.fromAddress, balance - tx.getTotalCost());
+
+        const expectedNonce = nonces.get(tx.fromAddress) || 0;
+        if (tx.nonce !== expectedNonce) {
           return false;
         }
+        nonces.set(tx.fromAddress, expectedNonce + 1);
       }
+
+      balances.set(tx.toAddress, (balances.get(tx.toAddress) || 0) + tx.amount);
     }
 
     return true;
   }
 
-  // 替换区块链 (P2P网络同步需要)
-  replaceChain(newChain) {
-    // 新链必须比当前链长
-    if (newChain.length <= this.chain.length) {
-      console.log('接收到的区块链不比当前长，拒绝替换');
-      return;
+  // 高度 1..height 的区块累计的余额和nonce (不重复验证)，用于从 height + 1 开始逐块调用 isValidBlockAt
+  getValidationState(height) {
+    const state = { balances: new Map(), nonces: new Map() };
+
+    for (const block of this.chain.slice(1, height + 1)) {
+      for (const tx of block.transactions) {
+        if (tx.fromAddress !== null) {
+          state.balances.set(tx.fromAddress, (state.balances.get(tx.fromAddress) || 0) - tx.getTotalCost());
+          state.nonces.set(tx.fromAddress, (state.nonces.get(tx.fromAddress) || 0) + 1);
+        }
+        state.balances.set(tx.toAddress, (state.balances.get(tx.toAddress) || 0) + tx.amount);
+      }
+    }
+
+    return state;
+  }
+
+  // 链尾之后的余额和nonce (调用方不能修改)；链尾变化后从创世区块重新累计
+  getTipState() {
+    const tip = this.getLatestBlock();
+    if (!this.tipState || this.tipState.hash !== tip.hash) {
+      this.tipState = { hash: tip.hash, state: this.getValidationState(this.chain.length - 1) };
+    }
+    return this.tipState.state;
+  }
+
+  // 链尾的验证状态副本，调用方可以修改
+  getTipValidationState() {
+    const { balances, nonces } = this.getTipState();
+    return { balances: new Map(balances), nonces: new Map(nonces) };
+  }
+
+  // 单个区块的工作量 (难度每增加1，期望哈希次数增加16倍)
+  static getBlockWork(block) {
+    return Math.pow(16, block.difficulty);
+  }
+
+  // 计算链的累计工作量
+  static getChainWork(chain) {
+    return chain.reduce((work, block) => work + Blockchain.getBlockWork(block), 0);
+  }
+
+  getCumulativeWork() {
+    return Blockchain.getChainWork(this.chain);
+  }
+
+  // 查找与另一条链的最后一个公共区块高度
+  findCommonAncestor(otherChain) {
+    let height = 0;
+    const maxHeight = Math.min(this.chain.length, otherChain.length) - 1;
+
+    while (height < maxHeight && this.chain[height + 1].hash === otherChain[height + 1].hash) {
+      height++;
+    }
+
+    return height;
+  }
+
+  // 替换区块链 (P2P网络同步需要)，按累计工作量选择最重的链
+  // validated 为 true 表示调用方已经逐块验证过新链 (headers-first 同步)，不再从创世区块重新验证
+  replaceChain(newChain, validated = false) {
+    if (newChain.length === 0 || newChain[0].hash !== this.chain[0].hash) {
+      console.log('接收到的区块链创世区块不一致，拒绝替换');
+      return false;
+    }
+
+    // 新链的累计工作量必须大于当前链
+    if (Blockchain.getChainWork(newChain) <= this.getCumulativeWork()) {
+      console.log('接收到的区块链累计工作量不高于当前链，拒绝替换');
+      return false;
     }
     
     // 验证新链的有效性
-    const tempChain = new Blockchain();
-    tempChain.chain = newChain;
-    
-    if (!tempChain.isChainValid()) {
-      console.log('接收到的区块链无效，拒绝替换');
-      return;
+    if (!validated) {
+      const tempChain = new Blockchain();
+      tempChain.chain = newChain;
+
+      if (!tempChain.isChainValid()) {
+        console.log('接收到的区块链无效，拒绝替换');
+        return false;
+      }
     }
+
+    const ancestorHeight = this.findCommonAncestor(newChain);
+    const orphanedBlocks = this.chain.slice(ancestorHeight + 1);
+    const oldTip = this.getLatestBlock();
     
     // 替换当前链
     console.log('替换当前区块链为新接收的区块链');
     this.chain = newChain;
-    this.pendingTransactions = []; // 重置待处理交易
+
+    // 孤块中未被新链打包的交易和原交易池中的交易重新放回交易池，无法通过验证的丢弃
+    const candidates = [];
+    for (const block of orphanedBlocks) {
+      candidates.push(...block.transactions.filter(tx => tx.fromAddress !== null));
+    }
+    candidates.push(...this.pendingTransactions);
+
+    const { restored, dropped } = this.rebuildPendingTransactions(candidates);
+    this.emit('chainUpdated');
+    this.emit('mempoolUpdated');
+
+    if (orphanedBlocks.length > 0) {
+      this.emit('reorg', {
+        depth: orphanedBlocks.length,
+        commonAncestor: {
+          height: ancestorHeight,
+          hash: newChain[ancestorHeight].hash
+        },
+        oldTip: { height: ancestorHeight + orphanedBlocks.length, hash: oldTip.hash },
+        newTip: { height: newChain.length - 1, hash: this.getLatestBlock().hash },
+        orphanedBlocks: orphanedBlocks.map(block => block.hash),
+        restoredTransactions: restored,
+        droppedTransactions: dropped
+      });
+    }
+
+    return true;
+  }
+
+  // 从JSON数据重建区块列表 (不做链级别的校验)
+  static chainFromJSON(chainData) {
+    if (!Array.isArray(chainData) || chainData.length === 0) {
+      throw new Error('Invalid chain: expected a non-empty array of blocks');
+    }
+
+    return chainData.map(block => Block.fromJSON(block));
+  }
+
+  // 从JSON数据重建完整的区块链，链无效时抛出错误，交易池中无法通过验证的交易被丢弃
+  static fromJSON(data) {
+    if (!isPlainObject(data)) {
+      throw new Error('Invalid blockchain data: expected an object');
+    }
+
+    const blockchain = new Blockchain();
+    const chain = Blockchain.chainFromJSON(data.chain);
+
+    if (chain[0].hash !== blockchain.chain[0].hash) {
+      throw new Error('Invalid blockchain data: genesis block mismatch');
+    }
+
+    blockchain.chain = chain;
+    if (!blockchain.isChainValid()) {
+      throw new Error('Invalid blockchain data: chain failed validation');
+    }
+
+    const pendingData = Array.isArray(data.pendingTransactions) ? data.pendingTransactions : [];
+    const pending = [];
+    for (const txData of pendingData) {
+      try {
+        pending.push(Transaction.fromJSON(txData));
+      } catch (error) {
+        console.log('丢弃格式错误的待处理交易:', error.message);
+      }
+    }
+    blockchain.rebuildPendingTransactions(pending);
+
+    return blockchain;
+  }
+
+  // 基于当前链重新验证并填充交易池
+  rebuildPendingTransactions(transactions) {
+    const confirmed = new Set();
+    for (const block of this.chain) {
+      for (const hash of block.getTransactionHashes()) {
+        confirmed.add(hash);
+      }
+    }
+
+    this.pendingTransactions = [];
+    let restored = 0;
+    let dropped = 0;
+
+    // 交易池按手续费排序，重新加入时需按nonce顺序，否则同一账户的后续交易会被判为nonce不连续
+    const ordered = [...transactions].sort((a, b) => a.nonce - b.nonce);
+
+    for (const tx of ordered) {
+      if (confirmed.has(tx.calculateHash())) {
+        continue;
+      }
+
+      try {
+        this.addTransaction(tx);
+        restored++;
+      } catch (error) {
+        dropped++;
+      }
+    }
+
+    return { restored, dropped };
+  }
+
+  // 追加区块后保留交易池中仍然有效的交易: 签名、地址和金额在加入交易池时已经验证，
+  // 只需按链尾的nonce和余额重新检查，不必像 rebuildPendingTransactions 那样逐笔重新加入
+  prunePendingTransactions(transactions) {
+    const { balances, nonces } = this.getTipState();
+    const nextNonces = new Map();
+    const spent = new Map();
+    const kept = new Set();
+
+    for (const tx of [...transactions].sort((a, b) => a.nonce - b.nonce)) {
+      const from = tx.fromAddress;
+      const expectedNonce = nextNonces.has(from) ? nextNonces.get(from) : (nonces.get(from) || 0);
+      const available = (balances.get(from) || 0) - (spent.get(from) || 0);
+      if (tx.nonce !== expectedNonce || tx.getTotalCost() > available) {
+        continue;
+      }
+
+      nextNonces.set(from, expectedNonce + 1);
+      spent.set(from, (spent.get(from) || 0) + tx.getTotalCost());
+      kept.add(tx);
+    }
+
+    // 保持交易池原有的手续费顺序
+    this.pendingTransactions = transactions.filter(tx => kept.has(tx));
+    return { restored: kept.size, dropped: transactions.length - kept.size };
   }
 }
 
-module.exports = { Blockchain, Transaction, Block };
\ No newline at end of file
+module.exports = { Blockchain, Transaction, Block, TransactionError, BlockError };
\ No newline at end of file
@@ -10,6 +10,15 @@ async function sha256(message) {
     .join('');
 }
 
+// 反序列化时的基础类型检查
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
 // 区块类
 class Block {
   constructor(timestamp, transactions, previousHash = '') {
@@ -43,6 +52,27 @@ class Block {
     
     return this.hash;
   }
+
+  // 从KV存储中的JSON数据重建区块实例，结构不合法时抛出错误
+  static fromJSON(data) {
+    if (!isPlainObject(data)) {
+      throw new Error('Invalid block: expected an object');
+    }
+    if (!isNonNegativeInteger(data.timestamp) || !isNonNegativeInteger(data.nonce)) {
+      throw new Error('Invalid block: timestamp and nonce must be non-negative integers');
+    }
+    if (!Array.isArray(data.transactions)) {
+      throw new Error('Invalid block: transactions must be an array');
+    }
+    if (typeof data.previousHash !== 'string' || typeof data.hash !== 'string') {
+      throw new Error('Invalid block: previousHash and hash must be strings');
+    }
+
+    const block = new Block(data.timestamp, data.transactions.map(tx => Transaction.fromJSON(tx)), data.previousHash);
+    block.nonce = data.nonce;
+    block.hash = data.hash;
+    return block;
+  }
 }
 
 // 简化的交易类（没有签名验证，因为Cloudflare Workers环境限制）
@@ -53,6 +83,29 @@ class Transaction {
     this.amount = amount;
     this.timestamp = Date.now();
   }
+
+  // 从KV存储中的JSON数据重建交易实例，结构不合法时抛出错误
+  static fromJSON(data) {
+    if (!isPlainObject(data)) {
+      throw new Error('Invalid transaction: expected an object');
+    }
+    if (data.fromAddress !== null && typeof data.fromAddress !== 'string') {
+      throw new Error('Invalid transaction: fromAddress must be a string or null');
+    }
+    if (typeof data.toAddress !== 'string' || data.toAddress.length === 0) {
+      throw new Error('Invalid transaction: toAddress must be a non-empty string');
+    }
+    if (typeof data.amount !== 'number' || !Number.isFinite(data.amount)) {
+      throw new Error('Invalid transaction: amount must be a finite number');
+    }
+    if (!isNonNegativeInteger(data.timestamp)) {
+      throw new Error('Invalid transaction: timestamp must be a non-negative integer');
+    }
+
+    const transaction = new Transaction(data.fromAddress, data.toAddress, data.amount);
+    transaction.timestamp = data.timestamp;
+    return transaction;
+  }
 }
 
 // 区块链类
@@ -62,9 +115,44 @@ class Blockchain {
     this.difficulty = 2;
     this.pendingTransactions = [];
     this.miningReward = 100;
-    
-    // 初始化创世区块
-    this.createGenesisBlock();
+  }
+
+  // 创建带创世区块的新区块链 (创世区块的哈希需要异步计算)
+  static async create() {
+    const blockchain = new Blockchain();
+    await blockchain.createGenesisBlock();
+    return blockchain;
+  }
+
+  // 从KV存储中的JSON数据重建区块链并完整校验，数据损坏时抛出错误
+  static async fromJSON(data) {
+    if (!isPlainObject(data) || !Array.isArray(data.chain) || data.chain.length === 0) {
+      throw new Error('Invalid blockchain data: expected an object with a non-empty chain');
+    }
+
+    const blockchain = new Blockchain();
+    blockchain.chain = data.chain.map(block => Block.fromJSON(block));
+    if (!(await blockchain.isChainValid())) {
+      throw new Error('Stored blockchain failed validation');
+    }
+
+    // 待处理交易逐笔重建，格式错误的直接丢弃
+    for (const txData of Array.isArray(data.pendingTransactions) ? data.pendingTransactions : []) {
+      try {
+        blockchain.pendingTransactions.push(Transaction.fromJSON(txData));
+      } catch (error) {
+        console.log('Dropped invalid pending transaction:', error.message);
+      }
+    }
+
+    if (isNonNegativeInteger(data.difficulty)) {
+      blockchain.difficulty = data.difficulty;
+    }
+    if (typeof data.miningReward === 'number' && Number.isFinite(data.miningReward) && data.miningReward >= 0) {
+      blockchain.miningReward = data.miningReward;
+    }
+
+    return blockchain;
   }
 
   async createGenesisBlock() {
@@ -152,25 +240,15 @@ class Blockchain {
 // 创建KV存储键
 const BLOCKCHAIN_KEY = 'blockchain_data';
 
-// 从KV存储加载区块链数据
+// 从KV存储加载区块链数据，存储的数据会被重建为区块/交易实例并完整校验
+// 数据损坏时抛出错误，而不是用新链覆盖已有数据
 async function loadBlockchain(env) {
-  try {
-    const data = await env.BLOCKCHAIN_KV.get(BLOCKCHAIN_KEY, { type: 'json' });
-    if (!data) {
-      return new Blockchain();
-    }
-    
-    const blockchain = new Blockchain();
-    blockchain.chain = data.chain;
-    blockchain.pendingTransactions = data.pendingTransactions;
-    blockchain.difficulty = data.difficulty;
-    blockchain.miningReward = data.miningReward;
-    
-    return blockchain;
-  } catch (error) {
-    console.error('Failed to load blockchain:', error);
-    return new Blockchain();
+  const data = await env.BLOCKCHAIN_KV.get(BLOCKCHAIN_KEY, { type: 'json' });
+  if (!data) {
+    return await Blockchain.create();
   }
+
+  return await Blockchain.fromJSON(data);
 }
 
 // 保存区块链数据到KV存储
@@ -212,7 +290,18 @@ async function handleRequest(request, env) {
   }
   
   // 加载区块链数据
-  const blockchain = await loadBlockchain(env);
+  let blockchain;
+  try {
+    blockchain = await loadBlockchain(env);
+  } catch (error) {
+    console.error('Failed to load blockchain:', error);
+    return new Response(JSON.stringify({
+      error: 'Failed to load blockchain: ' + error.message
+    }), {
+      status: 500,
+      headers
+    });
+  }
   
   // 路由处理
   if (path === '/blockchain' && request.method === 'GET') {
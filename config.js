@@ -1,16 +1,69 @@
 // config.js - 区块链配置文件
+const os = require('os');
+
 module.exports = {
+  // 创世区块时间戳 (所有节点必须一致)
+  GENESIS_TIMESTAMP: 1700000000000,
+
   // 挖矿难度 (决定哈希值前导零的数量)
   DIFFICULTY: 4,
+
+  // 难度下限
+  MIN_DIFFICULTY: 1,
   
-  // 挖矿奖励 (单位: 代币)
+  // 初始挖矿奖励 (单位: 代币)
   MINING_REWARD: 50,
+
+  // 奖励减半间隔 (以区块数量计)
+  HALVING_INTERVAL: 100000,
+
+  // 最大供应量 (单位: 代币)
+  MAX_SUPPLY: 10000000,
   
   // 区块生成时间 (单位: 毫秒)
   BLOCK_GENERATION_INTERVAL: 10000,
   
   // 难度调整间隔 (以区块数量计)
   DIFFICULTY_ADJUSTMENT_INTERVAL: 10,
+
+  // 区块时间戳允许的误差 (单位: 毫秒)
+  TIMESTAMP_TOLERANCE: 60000,
+
+  // 每个区块最多打包的交易数 (不含奖励交易)
+  MAX_BLOCK_TRANSACTIONS: 100,
+
+  // 每个区块打包交易的最大字节数 (不含奖励交易)
+  MAX_BLOCK_SIZE: 100000,
+
+  // 挖矿线程数
+  MINING_THREADS: parseInt(process.env.MINING_THREADS, 10) || Math.max(1, os.cpus().length - 1),
+
+  // 挖矿线程每批计算的哈希次数 (每批结束后汇报进度并检查是否取消)
+  MINING_BATCH_SIZE: 20000,
+
+  // 估算手续费时参考的最近区块数
+  FEE_ESTIMATE_BLOCKS: 10,
+
+  // 链重组深度达到该值时输出告警
+  REORG_ALERT_DEPTH: 6,
+
+  // 交易 lockTime 小于该值时表示区块高度，否则表示时间戳 (毫秒)
+  LOCKTIME_THRESHOLD: 500000000,
+
+  // 地址版本字节 (Base58Check编码，0x00 的地址以 '1' 开头)
+  ADDRESS_VERSION: 0x00,
+
+  // 多签地址版本字节 (0x05 的地址以 '3' 开头)
+  MULTISIG_ADDRESS_VERSION: 0x05,
+
+  // 多签地址最多包含的公钥数
+  MAX_MULTISIG_KEYS: 15,
+
+  // HD钱包的BIP44币种编号 (1 为所有测试网络共用的编号)
+  HD_COIN_TYPE: 1,
+  
+  // 是否允许 POST /transaction 携带私钥由服务端签名 (仅用于本地开发，默认关闭)
+  ALLOW_SERVER_SIGNING: process.env.ALLOW_SERVER_SIGNING === 'true',
   
   // HTTP服务器端口
   HTTP_PORT: process.env.HTTP_PORT || 3001,
@@ -18,6 +71,64 @@ module.exports = {
   // P2P服务器端口
   P2P_PORT: process.env.P2P_PORT || 6001,
   
+  // 区块和交易池数据的存储目录 (默认按HTTP端口区分，便于在同一台机器上运行多个节点)
+  DATA_DIR: process.env.DATA_DIR || `data/node-${process.env.HTTP_PORT || 3001}`,
+  
   // 初始节点列表
-  PEERS: process.env.PEERS ? process.env.PEERS.split(',') : []
+  PEERS: process.env.PEERS ? process.env.PEERS.split(',') : [],
+
+  // 网络标识，握手时链ID不一致的节点会被断开 (测试网络使用不同的ID)
+  CHAIN_ID: process.env.CHAIN_ID || 'nodejs-blockchain',
+
+  // 单条P2P消息的最大字节数，超过时关闭连接
+  P2P_MAX_MESSAGE_SIZE: 8 * 1024 * 1024,
+
+  // 连接建立后等待对方握手的最长时间 (毫秒)
+  P2P_HANDSHAKE_TIMEOUT: 10000,
+
+  // 同步时单条 HEADERS 消息最多包含的区块头数
+  P2P_MAX_HEADERS: 2000,
+
+  // 一轮同步最多下载的区块头数，更长的链分多轮同步
+  P2P_MAX_SYNC_HEADERS: 50000,
+
+  // 同步时每批下载的区块数
+  P2P_BLOCK_BATCH_SIZE: 32,
+
+  // 同步时等待对方响应的最长时间 (毫秒)，超时后放弃本次同步
+  P2P_SYNC_TIMEOUT: 30000,
+
+  // 入站和出站连接数上限
+  P2P_MAX_INBOUND: 32,
+  P2P_MAX_OUTBOUND: 8,
+
+  // 重连间隔 (毫秒): 每次失败后翻倍，直到上限
+  P2P_RECONNECT_BASE_DELAY: 1000,
+  P2P_RECONNECT_MAX_DELAY: 5 * 60 * 1000,
+
+  // 检查是否需要建立新的出站连接的间隔 (毫秒)
+  P2P_DIAL_INTERVAL: 5000,
+
+  // 心跳间隔 (毫秒)，一个周期内没有响应 ping 的连接视为已断开
+  P2P_HEARTBEAT_INTERVAL: 30000,
+
+  // 最多记录的通过其他节点获知的地址数，以及单条 PEERS 消息最多包含的地址数
+  P2P_MAX_KNOWN_PEERS: 1000,
+  P2P_MAX_PEERS_PER_MESSAGE: 100,
+
+  // 每个节点在一个时间窗口 (毫秒) 内最多发送的消息数，超出的消息被丢弃并计入不当行为分数
+  P2P_RATE_LIMIT_WINDOW: 10000,
+  P2P_RATE_LIMIT_MESSAGES: 1000,
+
+  // 不当行为分数达到该值时断开连接并封禁对方的IP地址
+  P2P_BAN_THRESHOLD: 100,
+
+  // 封禁时长 (毫秒)
+  P2P_BAN_DURATION: 24 * 60 * 60 * 1000,
+
+  // 本机和局域网地址按 IP:监听端口 封禁，不影响同一地址上的其他节点 (设为 false 时按IP封禁)
+  P2P_BAN_LOCAL_BY_PORT: process.env.P2P_BAN_LOCAL_BY_PORT !== 'false',
+
+  // 管理接口 (POST/DELETE /peers, GET/DELETE /bans) 的访问令牌，未设置时管理接口只接受本机请求
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || null
 };
\ No newline at end of file
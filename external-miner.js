@@ -0,0 +1,72 @@
+// external-miner.js - 独立的外部矿工，从节点获取区块模板，本地完成工作量证明后提交
+// 用法: node external-miner.js <节点URL> <矿工地址> [--loop]
+const { Block } = require('./blockchain');
+
+async function request(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' }
+  });
+  const body = await response.json();
+
+  if (!response.ok) {
+    const error = new Error(body.error || `HTTP ${response.status}`);
+    error.code = body.code;
+    throw error;
+  }
+  return body;
+}
+
+// 获取模板、挖矿并提交一个区块
+async function mineOnce(nodeUrl, minerAddress) {
+  const template = await request(`${nodeUrl}/mining/template?minerAddress=${encodeURIComponent(minerAddress)}`);
+  console.log(`开始挖矿: 高度 ${template.height}, 难度 ${template.difficulty}, 交易 ${template.transactions.length} 笔`);
+
+  const block = Block.fromJSON({
+    timestamp: template.timestamp,
+    transactions: [...template.transactions, template.coinbase],
+    previousHash: template.previousHash,
+    difficulty: template.difficulty,
+    merkleRoot: template.merkleRoot,
+    nonce: 0,
+    hash: ''
+  });
+  block.mineBlock();
+
+  const result = await request(`${nodeUrl}/mining/submit`, {
+    method: 'POST',
+    body: JSON.stringify({ block })
+  });
+  console.log(`区块已被接受: 高度 ${result.height}, 哈希 ${result.hash}`);
+}
+
+async function main() {
+  const [nodeUrl, minerAddress, ...flags] = process.argv.slice(2);
+
+  if (!nodeUrl || !minerAddress) {
+    console.log('用法: node external-miner.js <节点URL> <矿工地址> [--loop]');
+    process.exit(1);
+  }
+
+  const loop = flags.includes('--loop');
+  do {
+    try {
+      await mineOnce(nodeUrl.replace(/\/$/, ''), minerAddress);
+    } catch (error) {
+      // 模板过期 (其他矿工先挖出区块) 时直接获取新模板
+      if (error.code === 'STALE_BLOCK') {
+        console.log('区块模板已过期，重新获取');
+      } else {
+        console.error(`错误: ${error.message}`);
+        if (!loop) {
+          process.exit(1);
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  } while (loop);
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,154 @@
+// hd-wallet.js - 分层确定性钱包 (BIP39助记词 + BIP32/BIP44密钥派生)
+// 一个助记词即可恢复所有地址，地址路径为 m/44'/币种'/0'/0/序号
+const crypto = require('crypto');
+const bip39 = require('bip39');
+const EC = require('elliptic').ec;
+const ec = new EC('secp256k1');
+const config = require('./config');
+const { publicKeyToAddress } = require('./address');
+const { KEYSTORE_VERSION, encryptSecret, decryptSecret } = require('./keystore');
+
+const HARDENED_OFFSET = 0x80000000;
+const CURVE_ORDER = BigInt('0x' + ec.curve.n.toString(16));
+
+function hmacSha512(key, data) {
+  return crypto.createHmac('sha512', key).update(data).digest();
+}
+
+function toBigInt(buffer) {
+  return BigInt('0x' + buffer.toString('hex'));
+}
+
+function toBuffer32(value) {
+  return Buffer.from(value.toString(16).padStart(64, '0'), 'hex');
+}
+
+function serializeIndex(index) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(index, 0);
+  return buffer;
+}
+
+// BIP32: 由种子生成主密钥
+function masterKeyFromSeed(seed) {
+  const I = hmacSha512(Buffer.from('Bitcoin seed', 'utf8'), seed);
+  return { privateKey: I.subarray(0, 32), chainCode: I.subarray(32) };
+}
+
+// BIP32: 派生子私钥 (index >= 2^31 为强化派生，不使用父公钥)
+function deriveChildKey(parent, index) {
+  const data = index >= HARDENED_OFFSET
+    ? Buffer.concat([Buffer.alloc(1), parent.privateKey, serializeIndex(index)])
+    : Buffer.concat([
+      Buffer.from(ec.keyFromPrivate(parent.privateKey).getPublic(true, 'hex'), 'hex'),
+      serializeIndex(index)
+    ]);
+
+  const I = hmacSha512(parent.chainCode, data);
+  const IL = toBigInt(I.subarray(0, 32));
+  const childKey = (IL + toBigInt(parent.privateKey)) % CURVE_ORDER;
+
+  // 概率低于 2^-127，按BIP32的规定该序号无效
+  if (IL >= CURVE_ORDER || childKey === 0n) {
+    throw new Error(`Invalid child key at index ${index}, use the next index`);
+  }
+
+  return { privateKey: toBuffer32(childKey), chainCode: I.subarray(32) };
+}
+
+// 按路径派生，例如 m/44'/1'/0'/0/0
+function derivePath(seed, derivationPath) {
+  const segments = derivationPath.split('/');
+  if (segments[0] !== 'm') {
+    throw new Error(`Invalid derivation path: ${derivationPath}`);
+  }
+
+  return segments.slice(1).reduce((key, segment) => {
+    const hardened = segment.endsWith("'");
+    const index = parseInt(hardened ? segment.slice(0, -1) : segment, 10);
+    if (!Number.isInteger(index) || index < 0 || index >= HARDENED_OFFSET) {
+      throw new Error(`Invalid derivation path: ${derivationPath}`);
+    }
+    return deriveChildKey(key, hardened ? index + HARDENED_OFFSET : index);
+  }, masterKeyFromSeed(seed));
+}
+
+class HDWallet {
+  // accounts 记录已经派生过的地址 { index, path, address, publicKey }
+  constructor(mnemonic, accounts = []) {
+    if (!bip39.validateMnemonic(mnemonic)) {
+      throw new Error('Invalid mnemonic (unknown word or bad checksum)');
+    }
+
+    this.mnemonic = mnemonic;
+    this.seed = bip39.mnemonicToSeedSync(mnemonic);
+    this.accounts = accounts;
+  }
+
+  // 生成新的助记词 (默认12个单词，strength 为熵的位数)
+  static generate(strength = 128) {
+    const wallet = new HDWallet(bip39.generateMnemonic(strength));
+    wallet.deriveNextAccount();
+    return wallet;
+  }
+
+  // 从助记词恢复，并重新派生前 count 个地址
+  static fromMnemonic(mnemonic, count = 1) {
+    const wallet = new HDWallet(mnemonic.trim().split(/\s+/).join(' '));
+    for (let i = 0; i < count; i++) {
+      wallet.deriveNextAccount();
+    }
+    return wallet;
+  }
+
+  static getDerivationPath(index) {
+    return `m/44'/${config.HD_COIN_TYPE}'/0'/0/${index}`;
+  }
+
+  // 派生指定序号的私钥 (十六进制)
+  derivePrivateKey(index) {
+    return derivePath(this.seed, HDWallet.getDerivationPath(index)).privateKey.toString('hex');
+  }
+
+  // 派生下一个地址并记录到账户列表
+  deriveNextAccount() {
+    const index = this.accounts.length;
+    const publicKey = ec.keyFromPrivate(this.derivePrivateKey(index)).getPublic(true, 'hex');
+    const account = {
+      index,
+      path: HDWallet.getDerivationPath(index),
+      address: publicKeyToAddress(publicKey),
+      publicKey
+    };
+
+    this.accounts.push(account);
+    return account;
+  }
+
+  // 导出为加密的keystore格式 (只加密助记词，账户列表以明文保存便于查看地址)
+  toKeystore(passphrase) {
+    return {
+      version: KEYSTORE_VERSION,
+      type: 'hd',
+      accounts: this.accounts,
+      crypto: encryptSecret(this.mnemonic, passphrase, this.accounts[0].address)
+    };
+  }
+
+  static fromKeystore(walletData, passphrase) {
+    const mnemonic = decryptSecret(walletData.crypto, passphrase, walletData.accounts[0].address);
+    const wallet = HDWallet.fromMnemonic(mnemonic, walletData.accounts.length);
+
+    if (wallet.accounts.some((account, i) => account.address !== walletData.accounts[i].address)) {
+      throw new Error('Keystore accounts do not match the decrypted mnemonic');
+    }
+    return wallet;
+  }
+
+  // HD钱包文件的判断 (与单密钥钱包共用 wallets 目录)
+  static isHDWalletData(walletData) {
+    return walletData !== null && typeof walletData === 'object' && walletData.type === 'hd';
+  }
+}
+
+module.exports = HDWallet;
@@ -1,22 +1,83 @@
 // index.js - 区块链应用入口文件
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
-const { Blockchain } = require('./blockchain');
 const P2pServer = require('./p2p-server');
+const PeerManager = require('./peer-manager');
+const BanManager = require('./ban-manager');
 const Wallet = require('./wallet');
+const ChainStorage = require('./storage');
+const Miner = require('./miner');
 const config = require('./config');
+const { Transaction } = require('./blockchain');
+const { isValidAddress } = require('./address');
 
 // 创建Express应用
 const app = express();
 app.use(bodyParser.json());
-app.use(cors());
 
-// 初始化区块链
-const blockchain = new Blockchain();
+// 管理接口: 修改节点地址和查看、解除封禁
+const ADMIN_ROUTES = {
+  '/peers': ['POST', 'DELETE'],
+  '/bans': ['GET', 'DELETE']
+};
 
-// 初始化P2P服务器
-const p2pServer = new P2pServer(blockchain);
+// 管理接口不返回CORS头，其他网站的页面无法通过浏览器调用 (预检请求按实际请求的方法判断)
+app.use(cors((req, callback) => {
+  const method = req.method === 'OPTIONS' ? req.get('Access-Control-Request-Method') : req.method;
+  const isAdmin = (ADMIN_ROUTES[req.path] || []).includes(String(method).toUpperCase());
+  callback(null, { origin: isAdmin ? false : '*' });
+}));
+
+// 配置了 ADMIN_TOKEN 时要求 Authorization: Bearer <token>，否则只接受本机请求
+function requireAdmin(req, res, next) {
+  if (config.ADMIN_TOKEN) {
+    const expected = Buffer.from(`Bearer ${config.ADMIN_TOKEN}`);
+    const actual = Buffer.from(req.get('Authorization') || '');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return res.status(401).json({ error: 'Missing or invalid admin token', code: 'UNAUTHORIZED' });
+    }
+    return next();
+  }
+
+  if (!BanManager.isLoopbackAddress(req.socket.remoteAddress)) {
+    return res.status(403).json({
+      error: 'Admin endpoints only accept local requests, set ADMIN_TOKEN to allow remote access',
+      code: 'ADMIN_LOCAL_ONLY'
+    });
+  }
+  next();
+}
+
+// 从磁盘加载区块链 (首次启动时创建新链)，之后的变化自动写入磁盘
+const storage = new ChainStorage(config.DATA_DIR);
+const blockchain = storage.loadBlockchain();
+storage.attach(blockchain);
+
+// 监控链重组，深度过大时告警
+blockchain.on('reorg', event => {
+  const message = `链重组: 深度 ${event.depth}, 公共祖先 #${event.commonAncestor.height} (${event.commonAncestor.hash}), ` +
+    `恢复交易 ${event.restoredTransactions} 笔, 丢弃交易 ${event.droppedTransactions} 笔`;
+
+  if (event.depth >= config.REORG_ALERT_DEPTH) {
+    console.warn(`[告警] ${message}`);
+  } else {
+    console.log(message);
+  }
+});
+
+// 初始化P2P服务器，已知节点地址保存在数据目录中
+const p2pServer = new P2pServer(
+  blockchain,
+  new PeerManager(path.join(config.DATA_DIR, 'peers.json')),
+  new BanManager(path.join(config.DATA_DIR, 'bans.json'))
+);
+
+// 初始化挖矿线程池，新区块挖出后广播给其他节点
+const miner = new Miner(blockchain);
+miner.on('blockMined', block => p2pServer.broadcastBlock(block));
 
 // 创建默认钱包
 const wallet = new Wallet();
@@ -28,24 +89,36 @@ app.get('/blockchain', (req, res) => {
   res.json({
     chain: blockchain.chain,
     pendingTransactions: blockchain.pendingTransactions,
-    length: blockchain.chain.length
+    length: blockchain.chain.length,
+    difficulty: blockchain.getDifficulty()
   });
 });
 
-// 创建交易
+// 创建交易: 请求体为客户端已签名的交易 (私钥不离开客户端)
+// 开发模式 (ALLOW_SERVER_SIGNING=true) 下也可以携带 privateKey 由服务端签名
 app.post('/transaction', (req, res) => {
-  const { fromAddress, toAddress, amount, privateKey } = req.body;
+  const { fromAddress, toAddress, amount, privateKey, nonce, fee = 0, lockTime = 0 } = req.body;
   
   try {
-    // 使用私钥创建密钥对
-    const EC = require('elliptic').ec;
-    const ec = new EC('secp256k1');
-    const keyPair = ec.keyFromPrivate(privateKey);
-    
-    // 创建并签名交易
-    const { Transaction } = require('./blockchain');
-    const tx = new Transaction(fromAddress, toAddress, amount);
-    tx.signTransaction(keyPair);
+    let tx;
+    if (!privateKey) {
+      tx = Transaction.fromJSON(req.body);
+    } else if (!config.ALLOW_SERVER_SIGNING) {
+      return res.status(403).json({
+        error: 'Server-side signing is disabled, submit a signed transaction instead',
+        code: 'SERVER_SIGNING_DISABLED'
+      });
+    } else {
+      // 使用私钥创建密钥对
+      const EC = require('elliptic').ec;
+      const ec = new EC('secp256k1');
+      const keyPair = ec.keyFromPrivate(privateKey);
+
+      // 创建并签名交易
+      const txNonce = nonce !== undefined ? nonce : blockchain.getNextNonce(fromAddress);
+      tx = new Transaction(fromAddress, toAddress, amount, txNonce, fee, lockTime);
+      tx.signTransaction(keyPair);
+    }
     
     // 添加到待处理交易
     blockchain.addTransaction(tx);
@@ -55,31 +128,110 @@ app.post('/transaction', (req, res) => {
     
     res.json({ 
       message: 'Transaction added successfully',
-      transaction: tx
+      transaction: tx,
+      transactionHash: tx.calculateHash()
     });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(400).json({ error: error.message, code: error.code });
   }
 });
 
-// 挖矿
-app.post('/mine', (req, res) => {
+// 挖矿 (在工作线程中进行，不阻塞HTTP和P2P处理)
+app.post('/mine', async (req, res) => {
   const { minerAddress } = req.body;
   
   if (!minerAddress) {
     return res.status(400).json({ error: 'Missing miner address' });
   }
+
+  if (!isValidAddress(minerAddress)) {
+    return res.status(400).json({ error: 'Invalid miner address', code: 'INVALID_ADDRESS' });
+  }
+
+  if (miner.getStatus().mining) {
+    return res.status(409).json({ error: 'Mining already in progress' });
+  }
   
-  // 挖掘待处理交易
-  blockchain.minePendingTransactions(minerAddress);
-  
-  // 同步区块链
-  p2pServer.syncChains();
-  
-  res.json({
-    message: 'Block mined successfully',
-    lastBlock: blockchain.getLatestBlock()
-  });
+  try {
+    // 挖掘待处理交易
+    const block = await miner.mine(minerAddress);
+
+    if (!block) {
+      return res.status(409).json({ error: 'Mining cancelled: a competing block was received' });
+    }
+    
+    res.json({
+      message: 'Block mined successfully',
+      lastBlock: block
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 开始持续挖矿
+app.post('/mine/start', (req, res) => {
+  const { minerAddress } = req.body;
+
+  if (!minerAddress) {
+    return res.status(400).json({ error: 'Missing miner address' });
+  }
+
+  if (!isValidAddress(minerAddress)) {
+    return res.status(400).json({ error: 'Invalid miner address', code: 'INVALID_ADDRESS' });
+  }
+
+  if (miner.getStatus().mining && !miner.autoMine) {
+    return res.status(409).json({ error: 'Mining already in progress' });
+  }
+
+  miner.startAutoMine(minerAddress);
+  res.json({ message: 'Auto-mining started', status: miner.getStatus() });
+});
+
+// 停止持续挖矿
+app.post('/mine/stop', (req, res) => {
+  miner.stopAutoMine();
+  res.json({ message: 'Auto-mining stopped', status: miner.getStatus() });
+});
+
+// 查询挖矿状态 (进度、算力)
+app.get('/mine/status', (req, res) => {
+  res.json(miner.getStatus());
+});
+
+// 外部矿工: 获取区块模板
+app.get('/mining/template', (req, res) => {
+  const { minerAddress } = req.query;
+
+  if (!minerAddress) {
+    return res.status(400).json({ error: 'Missing miner address' });
+  }
+
+  if (!isValidAddress(minerAddress)) {
+    return res.status(400).json({ error: 'Invalid miner address', code: 'INVALID_ADDRESS' });
+  }
+
+  res.json(blockchain.getBlockTemplate(minerAddress));
+});
+
+// 外部矿工: 提交完成工作量证明的区块
+app.post('/mining/submit', (req, res) => {
+  const { block } = req.body;
+
+  try {
+    const accepted = blockchain.submitBlock(block);
+    p2pServer.broadcastBlock(accepted);
+
+    res.json({
+      message: 'Block accepted',
+      height: blockchain.chain.length - 1,
+      hash: accepted.hash
+    });
+  } catch (error) {
+    const status = error.code === 'STALE_BLOCK' ? 409 : 400;
+    res.status(status).json({ error: error.message, code: error.code });
+  }
 });
 
 // 获取钱包余额
@@ -91,15 +243,148 @@ app.get('/balance/:address', (req, res) => {
   });
 });
 
-// 创建钱包
+// 获取账户的下一个nonce
+app.get('/nonce/:address', (req, res) => {
+  res.json({
+    address: req.params.address,
+    nonce: blockchain.getNextNonce(req.params.address),
+    confirmedNonce: blockchain.getNonceOfAddress(req.params.address)
+  });
+});
+
+// 获取地址的交易记录 (包括交易池中待确认的交易)
+app.get('/history/:address', (req, res) => {
+  res.json({
+    address: req.params.address,
+    height: blockchain.chain.length - 1,
+    transactions: blockchain.getTransactionHistory(req.params.address)
+  });
+});
+
+// 获取代币供应情况
+app.get('/supply', (req, res) => {
+  res.json(blockchain.getSupplyInfo());
+});
+
+// 根据最近区块估算手续费
+app.get('/fees/estimate', (req, res) => {
+  const blocks = parseInt(req.query.blocks, 10);
+  res.json(blockchain.estimateFee(blocks > 0 ? blocks : undefined));
+});
+
+// 查看交易池: eligible 表示能否进入下一个区块，eligibleAt 为时间锁到期的区块高度或时间戳
+app.get('/mempool', (req, res) => {
+  res.json(blockchain.getMempool());
+});
+
+// 获取交易的Merkle包含证明
+app.get('/proof/:txHash', (req, res) => {
+  const proof = blockchain.getTransactionProof(req.params.txHash);
+
+  if (!proof) {
+    return res.status(404).json({ error: 'Transaction not found in chain' });
+  }
+
+  res.json(proof);
+});
+
+// 验证消息签名 (证明地址所有权)
+app.post('/message/verify', (req, res) => {
+  const { address, message, signature, publicKey } = req.body;
+
+  if (!address || typeof message !== 'string' || !signature || !publicKey) {
+    return res.status(400).json({ error: 'Missing address, message, signature or publicKey' });
+  }
+
+  res.json({
+    address,
+    message,
+    valid: Wallet.verifyMessage(address, message, signature, publicKey)
+  });
+});
+
+// 签名消息: 应使用客户端的 Wallet.signMessage，只有开发模式 (ALLOW_SERVER_SIGNING=true) 下才接受私钥
+app.post('/message/sign', (req, res) => {
+  const { message, privateKey } = req.body;
+
+  if (!config.ALLOW_SERVER_SIGNING) {
+    return res.status(403).json({
+      error: 'Server-side signing is disabled, sign the message with the wallet CLI instead',
+      code: 'SERVER_SIGNING_DISABLED'
+    });
+  }
+
+  if (!privateKey || typeof message !== 'string') {
+    return res.status(400).json({ error: 'Missing message or privateKey' });
+  }
+
+  try {
+    res.json(new Wallet(privateKey).signMessage(message));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// 创建钱包: 私钥经HTTP返回，只在开发模式 (ALLOW_SERVER_SIGNING=true) 下可用，正常情况应使用 node wallet.js new
 app.get('/wallet/new', (req, res) => {
+  if (!config.ALLOW_SERVER_SIGNING) {
+    return res.status(403).json({
+      error: 'Server-side key generation is disabled, create a wallet with the wallet CLI (node wallet.js new) instead',
+      code: 'SERVER_SIGNING_DISABLED'
+    });
+  }
+
   const newWallet = new Wallet();
   res.json({
     privateKey: newWallet.privateKey,
-    publicKey: newWallet.publicKey
+    publicKey: newWallet.publicKey,
+    address: newWallet.getAddress()
   });
 });
 
+// 查看P2P连接和已知节点地址
+app.get('/peers', (req, res) => {
+  res.json(p2pServer.getPeers());
+});
+
+// 添加节点地址 (ws:// 或 wss://) 并尝试连接
+app.post('/peers', requireAdmin, (req, res) => {
+  const url = p2pServer.addPeer((req.body || {}).url);
+  if (!url) {
+    return res.status(400).json({ error: 'Invalid peer URL, expected ws://host:port', code: 'INVALID_PEER_URL' });
+  }
+  res.json({ message: 'Peer added', url });
+});
+
+// 删除节点地址并断开连接
+app.delete('/peers', requireAdmin, (req, res) => {
+  const { url } = req.body || {};
+
+  if (!p2pServer.removePeer(url)) {
+    return res.status(404).json({ error: 'Unknown peer', code: 'PEER_NOT_FOUND' });
+  }
+  res.json({ message: 'Peer removed', url });
+});
+
+// 查看被封禁的节点地址 (不当行为分数达到阈值的节点)
+app.get('/bans', requireAdmin, (req, res) => {
+  res.json(p2pServer.getBans());
+});
+
+// 解除封禁: 请求体带 address (IP 或 IP:端口) 时只解除该地址，否则解除全部
+app.delete('/bans', requireAdmin, (req, res) => {
+  const { address } = req.body || {};
+
+  if (address === undefined) {
+    return res.json({ message: 'All bans cleared', count: p2pServer.clearBans() });
+  }
+
+  if (!p2pServer.unban(address)) {
+    return res.status(404).json({ error: 'Address is not banned', code: 'BAN_NOT_FOUND' });
+  }
+  res.json({ message: 'Ban removed', address });
+});
+
 // 启动HTTP服务器
 app.listen(config.HTTP_PORT, () => {
   console.log(`HTTP服务器已启动，端口: ${config.HTTP_PORT}`);
@@ -0,0 +1,86 @@
+// keystore.js - 钱包密钥加密存储 (scrypt 派生密钥 + AES-256-GCM 加密)
+// GCM认证标签作为MAC: 口令错误或文件被篡改时解密失败，而不会得到错误的私钥
+const crypto = require('crypto');
+
+const KEYSTORE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+
+// scrypt 参数 (N=2^14 约需16MB内存，单次派生在普通机器上耗时几十毫秒)
+const DEFAULT_KDF_PARAMS = {
+  n: 16384,
+  r: 8,
+  p: 1,
+  dklen: 32
+};
+
+function deriveKey(passphrase, kdfparams) {
+  return crypto.scryptSync(passphrase, Buffer.from(kdfparams.salt, 'hex'), kdfparams.dklen, {
+    N: kdfparams.n,
+    r: kdfparams.r,
+    p: kdfparams.p,
+    maxmem: 256 * kdfparams.n * kdfparams.r
+  });
+}
+
+// 用口令加密任意字符串，返回可直接写入钱包文件的 crypto 字段
+// aad (附加认证数据，例如地址) 不加密但受MAC保护，防止把密文挪到另一个钱包文件中
+function encryptSecret(secret, passphrase, aad = '') {
+  if (!passphrase) {
+    throw new Error('A passphrase is required to encrypt the wallet');
+  }
+
+  const kdfparams = { ...DEFAULT_KDF_PARAMS, salt: crypto.randomBytes(32).toString('hex') };
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(passphrase, kdfparams), iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return {
+    cipher: CIPHER,
+    ciphertext: ciphertext.toString('hex'),
+    iv: iv.toString('hex'),
+    kdf: 'scrypt',
+    kdfparams,
+    mac: cipher.getAuthTag().toString('hex')
+  };
+}
+
+// 解密 encryptSecret 的结果，口令错误或数据被篡改时抛出错误
+function decryptSecret(cryptoData, passphrase, aad = '') {
+  if (!passphrase) {
+    throw new Error('A passphrase is required to decrypt the wallet');
+  }
+  if (!cryptoData || cryptoData.cipher !== CIPHER || cryptoData.kdf !== 'scrypt') {
+    throw new Error('Unsupported keystore format');
+  }
+
+  const decipher = crypto.createDecipheriv(
+    CIPHER,
+    deriveKey(passphrase, cryptoData.kdfparams),
+    Buffer.from(cryptoData.iv, 'hex')
+  );
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(Buffer.from(cryptoData.mac, 'hex'));
+
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(cryptoData.ciphertext, 'hex')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    throw new Error('Wrong passphrase or corrupted keystore');
+  }
+}
+
+// 判断钱包文件内容是否为加密格式
+function isEncrypted(walletData) {
+  return walletData !== null && typeof walletData === 'object' && walletData.crypto !== undefined;
+}
+
+module.exports = {
+  KEYSTORE_VERSION,
+  encryptSecret,
+  decryptSecret,
+  isEncrypted
+};
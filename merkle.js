@@ -0,0 +1,94 @@
+// merkle.js - Merkle树实现 (用于交易包含证明)
+const crypto = require('crypto');
+
+// 空区块的Merkle根
+const EMPTY_MERKLE_ROOT = '0'.repeat(64);
+
+function hashPair(left, right) {
+  return crypto.createHash('sha256')
+    .update(left + right)
+    .digest('hex');
+}
+
+// 逐层构建Merkle树，返回从叶子层到根的所有层
+// 某一层节点数为奇数时复制最后一个节点 (与比特币相同)
+function buildMerkleTree(leaves) {
+  const levels = [leaves.slice()];
+
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const nextLevel = [];
+
+    for (let i = 0; i < level.length; i += 2) {
+      const left = level[i];
+      const right = i + 1 < level.length ? level[i + 1] : left;
+      nextLevel.push(hashPair(left, right));
+    }
+
+    levels.push(nextLevel);
+  }
+
+  return levels;
+}
+
+// 计算一组交易哈希的Merkle根
+function computeMerkleRoot(leaves) {
+  if (leaves.length === 0) {
+    return EMPTY_MERKLE_ROOT;
+  }
+
+  const levels = buildMerkleTree(leaves);
+  return levels[levels.length - 1][0];
+}
+
+// 生成指定叶子的Merkle分支，每一项记录兄弟节点的哈希及其位置
+function getMerkleProof(leaves, index) {
+  if (index < 0 || index >= leaves.length) {
+    throw new Error(`Leaf index out of range: ${index}`);
+  }
+
+  const proof = [];
+  const levels = buildMerkleTree(leaves);
+
+  for (let i = 0; i < levels.length - 1; i++) {
+    const level = levels[i];
+    const isRightNode = index % 2 === 1;
+    const siblingIndex = isRightNode ? index - 1 : index + 1;
+
+    proof.push({
+      position: isRightNode ? 'left' : 'right',
+      hash: siblingIndex < level.length ? level[siblingIndex] : level[index]
+    });
+
+    index = Math.floor(index / 2);
+  }
+
+  return proof;
+}
+
+// 验证Merkle分支 (轻客户端只需交易哈希、分支和区块头中的Merkle根)
+function verifyMerkleProof(leaf, proof, merkleRoot) {
+  if (!Array.isArray(proof)) {
+    return false;
+  }
+
+  let hash = leaf;
+  for (const step of proof) {
+    if (step.position === 'left') {
+      hash = hashPair(step.hash, hash);
+    } else if (step.position === 'right') {
+      hash = hashPair(hash, step.hash);
+    } else {
+      return false;
+    }
+  }
+
+  return hash === merkleRoot;
+}
+
+module.exports = {
+  EMPTY_MERKLE_ROOT,
+  computeMerkleRoot,
+  getMerkleProof,
+  verifyMerkleProof
+};
@@ -0,0 +1,202 @@
+// miner.js - 基于 worker_threads 的非阻塞挖矿 (线程池、进度汇报、取消和自动挖矿)
+const path = require('path');
+const EventEmitter = require('events');
+const { Worker } = require('worker_threads');
+const config = require('./config');
+
+class Miner extends EventEmitter {
+  constructor(blockchain, threads = config.MINING_THREADS) {
+    super();
+    this.blockchain = blockchain;
+    this.threads = threads;
+    this.workers = [];
+    this.currentJob = null;
+    this.jobCounter = 0;
+    this.autoMine = false;
+    this.autoMineAddress = null;
+    this.blocksMined = 0;
+
+    // 链尾被其他区块替换 (例如通过P2P收到竞争区块) 时取消当前任务
+    this.blockchain.on('chainUpdated', () => {
+      if (this.currentJob && this.currentJob.block.previousHash !== this.blockchain.getLatestBlock().hash) {
+        this.cancel('chain tip changed');
+      }
+    });
+  }
+
+  // 挖一个区块并追加到链上，任务被取消时返回 null
+  async mine(minerAddress) {
+    if (this.currentJob) {
+      throw new Error('Mining already in progress');
+    }
+
+    const block = this.blockchain.createCandidateBlock(minerAddress);
+    const result = await this.runJob(block, minerAddress);
+    if (!result) {
+      return null;
+    }
+
+    block.nonce = result.nonce;
+    block.hash = block.calculateHash();
+    if (block.hash !== result.hash || !block.hasValidProofOfWork()) {
+      throw new Error('Mining worker returned an invalid proof of work');
+    }
+
+    console.log(`Block mined: ${block.hash}`);
+    this.blockchain.addBlock(block);
+    this.blocksMined++;
+    this.emit('blockMined', block);
+    return block;
+  }
+
+  // 把区块头分发给所有工作线程，任一线程找到有效nonce或任务被取消时结束
+  runJob(block, minerAddress) {
+    this.ensureWorkers();
+
+    return new Promise(resolve => {
+      const job = {
+        id: ++this.jobCounter,
+        block,
+        minerAddress,
+        height: this.blockchain.chain.length,
+        hashes: 0,
+        startedAt: Date.now(),
+        resolve
+      };
+      this.currentJob = job;
+
+      const header = {
+        previousHash: block.previousHash,
+        timestamp: block.timestamp,
+        merkleRoot: block.merkleRoot,
+        difficulty: block.difficulty,
+        nonce: 0
+      };
+
+      this.workers.forEach((worker, index) => {
+        worker.postMessage({
+          type: 'mine',
+          jobId: job.id,
+          header,
+          start: index,
+          step: this.workers.length,
+          batchSize: config.MINING_BATCH_SIZE
+        });
+      });
+    });
+  }
+
+  // 取消当前任务
+  cancel(reason = 'cancelled') {
+    if (!this.currentJob) {
+      return false;
+    }
+
+    console.log(`挖矿任务已取消: ${reason}`);
+    this.finishJob(null);
+    this.emit('cancelled', reason);
+    return true;
+  }
+
+  finishJob(result) {
+    const job = this.currentJob;
+    this.currentJob = null;
+
+    this.workers.forEach(worker => worker.postMessage({ type: 'cancel', jobId: job.id }));
+    job.resolve(result);
+  }
+
+  // 按配置的线程数补齐线程池 (异常退出的线程会被移除)
+  ensureWorkers() {
+    while (this.workers.length < this.threads) {
+      const worker = new Worker(path.join(__dirname, 'mining-worker.js'));
+
+      worker.on('message', message => this.handleWorkerMessage(message));
+      worker.on('error', error => {
+        console.error('挖矿线程出错:', error.message);
+        this.workers = this.workers.filter(w => w !== worker);
+        this.cancel('mining worker failed');
+      });
+
+      this.workers.push(worker);
+    }
+  }
+
+  handleWorkerMessage(message) {
+    const job = this.currentJob;
+    if (!job || message.jobId !== job.id) {
+      return;
+    }
+
+    job.hashes += message.hashes;
+
+    if (message.type === 'found') {
+      this.finishJob({ nonce: message.nonce, hash: message.hash });
+    } else if (message.type === 'progress') {
+      this.emit('progress', this.getStatus());
+    }
+  }
+
+  // 开始持续挖矿，每挖出一个区块后立即基于新的链尾开始下一个
+  startAutoMine(minerAddress) {
+    this.autoMineAddress = minerAddress;
+    if (this.autoMine) {
+      return;
+    }
+
+    this.autoMine = true;
+    this.autoMineLoop();
+  }
+
+  stopAutoMine() {
+    this.autoMine = false;
+    this.cancel('auto-mining stopped');
+  }
+
+  async autoMineLoop() {
+    while (this.autoMine) {
+      try {
+        await this.mine(this.autoMineAddress);
+      } catch (error) {
+        console.error('自动挖矿出错:', error.message);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  getStatus() {
+    const job = this.currentJob;
+    const status = {
+      mining: job !== null,
+      autoMine: this.autoMine,
+      autoMineAddress: this.autoMineAddress,
+      threads: this.threads,
+      blocksMined: this.blocksMined
+    };
+
+    if (job) {
+      const elapsed = Date.now() - job.startedAt;
+      status.job = {
+        height: job.height,
+        difficulty: job.block.difficulty,
+        minerAddress: job.minerAddress,
+        transactions: job.block.transactions.length,
+        hashes: job.hashes,
+        elapsed,
+        hashrate: elapsed > 0 ? Math.round(job.hashes * 1000 / elapsed) : 0
+      };
+    }
+
+    return status;
+  }
+
+  // 关闭所有工作线程
+  async close() {
+    this.autoMine = false;
+    this.cancel('miner closed');
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+    this.workers = [];
+  }
+}
+
+module.exports = Miner;
@@ -0,0 +1,53 @@
+// mining-worker.js - 挖矿工作线程，在独立线程中搜索满足难度的nonce
+const { parentPort } = require('worker_threads');
+const { Block } = require('./blockchain');
+
+// 当前任务ID，收到取消消息或新任务时改变，正在进行的搜索会在下一批次前停止
+let currentJobId = null;
+
+parentPort.on('message', message => {
+  switch (message.type) {
+    case 'mine':
+      currentJobId = message.jobId;
+      search(message);
+      break;
+    case 'cancel':
+      if (message.jobId === currentJobId) {
+        currentJobId = null;
+      }
+      break;
+    default:
+      break;
+  }
+});
+
+// 从 start 开始以 step 为步长搜索nonce (多个线程交错搜索互不重复)
+// 每批次结束后汇报进度并让出事件循环，以便及时处理取消消息
+function search({ jobId, header, start, step, batchSize }) {
+  const target = Array(header.difficulty + 1).join('0');
+  let nonce = start;
+
+  const runBatch = () => {
+    if (currentJobId !== jobId) {
+      return;
+    }
+
+    for (let i = 0; i < batchSize; i++) {
+      header.nonce = nonce;
+      const hash = Block.calculateHeaderHash(header);
+
+      if (hash.substring(0, header.difficulty) === target) {
+        currentJobId = null;
+        parentPort.postMessage({ type: 'found', jobId, nonce, hash, hashes: i + 1 });
+        return;
+      }
+
+      nonce += step;
+    }
+
+    parentPort.postMessage({ type: 'progress', jobId, hashes: batchSize });
+    setImmediate(runBatch);
+  };
+
+  runBatch();
+}
@@ -0,0 +1,167 @@
+// p2p-protocol.js - P2P网络消息格式
+// 每条消息都是带 type 字段的JSON对象，收到后先按类型对应的模式校验字段，再交给 P2pServer 处理
+// 连接建立后双方先交换 HANDSHAKE，协议版本、链ID或创世区块不一致的节点会被断开
+// 链同步先用 GET_HEADERS/HEADERS 下载区块头，再用 GET_BLOCKS/BLOCKS 分批下载缺少的区块
+// 新挖出的区块通过 NEW_BLOCK 单独广播，验证通过后继续转发给其他节点
+// 节点之间用 GET_PEERS/PEERS 交换已知的节点地址
+const config = require('./config');
+
+// 当前协议版本，以及仍然兼容的最低版本
+// (版本2起不再支持整链传输的 CHAIN 消息，版本3起新区块通过 NEW_BLOCK 广播，版本4起支持地址交换)
+const PROTOCOL_VERSION = 4;
+const MIN_PROTOCOL_VERSION = 3;
+
+// 支持 GET_PEERS/PEERS 的最低协议版本
+const PEERS_PROTOCOL_VERSION = 4;
+
+// 区块定位器的最大长度 (指数间隔，足以覆盖 2^50 个区块)
+const MAX_LOCATOR_SIZE = 64;
+
+const MESSAGE_TYPES = {
+  HANDSHAKE: 'HANDSHAKE',
+  GET_HEADERS: 'GET_HEADERS',
+  HEADERS: 'HEADERS',
+  GET_BLOCKS: 'GET_BLOCKS',
+  BLOCKS: 'BLOCKS',
+  NEW_BLOCK: 'NEW_BLOCK',
+  GET_PEERS: 'GET_PEERS',
+  PEERS: 'PEERS',
+  TRANSACTION: 'TRANSACTION'
+};
+
+class ProtocolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
+function isPositiveInteger(value) {
+  return Number.isSafeInteger(value) && value > 0;
+}
+
+function isHash(value) {
+  return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+}
+
+function isChainId(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= 64;
+}
+
+function isNodeId(value) {
+  return typeof value === 'string' && /^[0-9a-f]{32}$/.test(value);
+}
+
+function isHeader(value) {
+  return isPlainObject(value) &&
+    isHash(value.hash) &&
+    isHash(value.previousHash) &&
+    isHash(value.merkleRoot) &&
+    isNonNegativeInteger(value.timestamp) &&
+    isNonNegativeInteger(value.nonce) &&
+    isNonNegativeInteger(value.difficulty) && value.difficulty <= 64;
+}
+
+function isPort(value) {
+  return Number.isInteger(value) && value > 0 && value <= 65535;
+}
+
+function isPeerUrl(value) {
+  return typeof value === 'string' && value.length <= 256 && /^wss?:\/\//.test(value);
+}
+
+// 可选字段: 省略或通过校验
+function optional(isValid) {
+  return value => value === undefined || isValid(value);
+}
+
+// 数组字段: 限制长度并校验每个元素
+function arrayOf(isValidItem, maxLength) {
+  return value => Array.isArray(value) && value.length <= maxLength && value.every(isValidItem);
+}
+
+// 每种消息必须包含的字段及其校验函数 (区块和交易的内部结构由 fromJSON 校验)
+const MESSAGE_SCHEMAS = {
+  [MESSAGE_TYPES.HANDSHAKE]: {
+    protocolVersion: isPositiveInteger,
+    chainId: isChainId,
+    genesisHash: isHash,
+    bestHeight: isNonNegativeInteger,
+    bestHash: isHash,
+    nodeId: isNodeId,
+    listenPort: optional(isPort) // 入站连接的对方据此得知本节点的监听地址
+  },
+  [MESSAGE_TYPES.GET_HEADERS]: {
+    locator: arrayOf(isHash, MAX_LOCATOR_SIZE)
+  },
+  [MESSAGE_TYPES.HEADERS]: {
+    headers: arrayOf(isHeader, config.P2P_MAX_HEADERS)
+  },
+  [MESSAGE_TYPES.GET_BLOCKS]: {
+    hashes: arrayOf(isHash, config.P2P_BLOCK_BATCH_SIZE)
+  },
+  [MESSAGE_TYPES.BLOCKS]: {
+    blocks: arrayOf(isPlainObject, config.P2P_BLOCK_BATCH_SIZE)
+  },
+  [MESSAGE_TYPES.NEW_BLOCK]: {
+    block: isPlainObject
+  },
+  [MESSAGE_TYPES.GET_PEERS]: {},
+  [MESSAGE_TYPES.PEERS]: {
+    peers: arrayOf(isPeerUrl, config.P2P_MAX_PEERS_PER_MESSAGE)
+  },
+  [MESSAGE_TYPES.TRANSACTION]: {
+    transaction: isPlainObject
+  }
+};
+
+// 解析并校验收到的消息，格式不正确时抛出 ProtocolError
+function parseMessage(raw) {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    throw new ProtocolError('MALFORMED_MESSAGE', 'Message is not valid JSON');
+  }
+
+  if (!isPlainObject(data) || typeof data.type !== 'string') {
+    throw new ProtocolError('MALFORMED_MESSAGE', 'Message must be an object with a type');
+  }
+
+  const schema = MESSAGE_SCHEMAS[data.type];
+  if (!schema) {
+    throw new ProtocolError('UNKNOWN_MESSAGE_TYPE', `Unknown message type: ${data.type}`);
+  }
+
+  for (const [field, isValid] of Object.entries(schema)) {
+    if (!isValid(data[field])) {
+      throw new ProtocolError('INVALID_MESSAGE', `Invalid ${data.type} message: bad or missing field "${field}"`);
+    }
+  }
+
+  return data;
+}
+
+// 序列化要发送的消息
+function createMessage(type, fields = {}) {
+  return JSON.stringify({ type, ...fields });
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  PEERS_PROTOCOL_VERSION,
+  MESSAGE_TYPES,
+  ProtocolError,
+  parseMessage,
+  createMessage
+};
@@ -1,60 +1,266 @@
 // p2p-server.js - 区块链P2P网络服务器
+// 连接建立后双方先交换握手消息 (协议版本、链ID、创世区块、最新高度、节点ID)，握手完成前不处理其他消息
+// 链同步为区块头优先: 用区块定位器找到分叉点，下载区块头并比较工作量，再分批下载区块并逐块验证
+// 新区块以 NEW_BLOCK 广播，接在链尾的直接验证追加并转发，父区块未知时回退为同步
+// 出站连接由 PeerManager 提供的地址定期补足，断开或失败后按指数退避重连
+// 每个连接有消息速率限制和不当行为分数，分数达到阈值时断开并由 BanManager 封禁对方的地址
+const crypto = require('crypto');
 const WebSocket = require('ws');
 const config = require('./config');
-const { Transaction } = require('./blockchain');
+const PeerManager = require('./peer-manager');
+const BanManager = require('./ban-manager');
+const { Blockchain, Block, Transaction } = require('./blockchain');
+const {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  PEERS_PROTOCOL_VERSION,
+  MESSAGE_TYPES,
+  parseMessage,
+  createMessage
+} = require('./p2p-protocol');
+
+// WebSocket关闭码: 正常关闭、协议错误、违反策略 (已封禁)、连接数已满
+const CLOSE_NORMAL = 1000;
+const CLOSE_PROTOCOL_ERROR = 1002;
+const CLOSE_POLICY_VIOLATION = 1008;
+const CLOSE_TRY_AGAIN_LATER = 1013;
+
+// 关闭原因的最大长度 (UTF-8字节)
+const MAX_CLOSE_REASON_BYTES = 123;
+
+// 各类不当行为的分数，累计达到 P2P_BAN_THRESHOLD 时封禁 (无效区块直接封禁)
+const MISBEHAVIOR_SCORES = {
+  INVALID_MESSAGE: 10, // 无法解析、字段不符合模式或违反协议流程的消息
+  INVALID_TRANSACTION: 10, // 格式错误或签名无效的交易
+  INVALID_HEADERS: 50, // 工作量证明无效或首尾不相连的区块头
+  INVALID_BLOCK: 100, // 格式错误或验证失败的区块
+  FLOODING: 20 // 超出速率限制 (每个时间窗口只计一次)
+};
+
+// 计入不当行为的交易错误码 (余额不足、nonce冲突等错误可能只是两个节点的交易池不同，不计分)
+const INVALID_TRANSACTION_CODES = new Set([
+  'MALFORMED_TRANSACTION',
+  'MISSING_ADDRESS',
+  'INVALID_ADDRESS',
+  'INVALID_AMOUNT',
+  'INVALID_FEE',
+  'INVALID_LOCK_TIME',
+  'MISSING_SIGNATURE',
+  'MISSING_PUBLIC_KEY',
+  'INVALID_SIGNATURE',
+  'INSUFFICIENT_SIGNATURES'
+]);
+
+// 记住最近处理过的区块数，用于转发去重
+const SEEN_BLOCKS_LIMIT = 1000;
 
 class P2pServer {
-  constructor(blockchain) {
+  constructor(blockchain, peerManager = new PeerManager(), banManager = new BanManager()) {
     this.blockchain = blockchain;
-    this.sockets = [];
+    this.peerManager = peerManager;
+    this.banManager = banManager;
+    this.sockets = []; // 已完成握手的连接
+    this.peers = new Map(); // socket -> 连接状态 (见 createPeer)
+    this.outbound = new Map(); // 地址 -> 正在建立或已建立的出站连接
+    this.nodeId = crypto.randomBytes(16).toString('hex');
+    this.sync = null; // 正在进行的同步 (同一时间只与一个节点同步)
+    this.seenBlocks = new Set(); // 最近收到或广播过的区块哈希
+    this.listenPort = null;
   }
 
   // 初始化P2P服务器
   listen() {
-    const server = new WebSocket.Server({ port: config.P2P_PORT });
-    server.on('connection', socket => this.connectSocket(socket));
-    
+    this.listenPort = Number(config.P2P_PORT);
+    const server = new WebSocket.Server({ port: this.listenPort, maxPayload: config.P2P_MAX_MESSAGE_SIZE });
+    server.on('connection', (socket, request) => this.acceptConnection(socket, request));
+
+    // 已保存的地址、封禁列表和配置的初始节点
+    this.peerManager.load();
+    this.banManager.load();
+    this.peerManager.addAll(config.PEERS, 'config');
     this.connectToPeers();
-    
-    console.log(`监听P2P连接，端口: ${config.P2P_PORT}`);
+
+    setInterval(() => this.connectToPeers(), config.P2P_DIAL_INTERVAL).unref();
+    setInterval(() => this.heartbeat(), config.P2P_HEARTBEAT_INTERVAL).unref();
+
+    console.log(`监听P2P连接，端口: ${this.listenPort} (节点ID: ${this.nodeId})`);
   }
 
-  // 连接到初始节点
+  // 出站连接数不足时，连接已到重连时间的地址
   connectToPeers() {
-    config.PEERS.forEach(peer => {
-      const socket = new WebSocket(peer);
-      socket.on('open', () => this.connectSocket(socket));
+    const slots = config.P2P_MAX_OUTBOUND - this.outbound.size;
+    if (slots <= 0) {
+      return;
+    }
+
+    const connected = [...this.peers.values()].map(peer => peer.url).filter(url => url !== null);
+    const excluded = new Set([...this.outbound.keys(), ...connected]);
+    this.peerManager.getDialCandidates(excluded)
+      .filter(peer => !this.banManager.isBanned(getPeerHost(peer.url), getPeerPort(peer.url)))
+      .slice(0, slots)
+      .forEach(peer => this.connect(peer.url));
+  }
+
+  // 建立出站连接，连接关闭后根据是否完成过握手记录成功或失败 (决定重连间隔)
+  connect(url) {
+    const socket = new WebSocket(url, {
+      maxPayload: config.P2P_MAX_MESSAGE_SIZE,
+      handshakeTimeout: config.P2P_HANDSHAKE_TIMEOUT
+    });
+    const peer = this.createPeer(false, url, null);
+    this.outbound.set(url, socket);
+
+    // 记录解析后的IP地址，主机名对应的地址被封禁时在 connectSocket 中断开
+    socket.on('upgrade', response => {
+      peer.remoteAddress = response.socket.remoteAddress;
+    });
+    socket.on('open', () => this.connectSocket(socket, peer));
+    socket.on('error', error => {
+      if (!this.peers.has(socket)) {
+        console.error(`无法连接节点 ${url}:`, error.message);
+      }
+    });
+    socket.on('close', () => {
+      this.outbound.delete(url);
+      if (peer.handshake) {
+        this.peerManager.markDisconnected(url);
+      } else {
+        this.peerManager.markFailed(url);
+      }
     });
   }
 
-  // 处理新连接
-  connectSocket(socket) {
-    this.sockets.push(socket);
-    console.log('Socket connected');
-    
+  // 入站连接: 来自被封禁地址或超过上限时直接关闭 (按 IP:端口 封禁的地址在握手后检查)
+  acceptConnection(socket, request) {
+    if (this.banManager.isBanned(request.socket.remoteAddress)) {
+      socket.close(CLOSE_POLICY_VIOLATION, 'Banned');
+      return;
+    }
+
+    const inboundCount = [...this.peers.values()].filter(peer => peer.inbound).length;
+    if (inboundCount >= config.P2P_MAX_INBOUND) {
+      socket.close(CLOSE_TRY_AGAIN_LATER, 'Too many inbound connections');
+      return;
+    }
+
+    this.connectSocket(socket, this.createPeer(true, null, request.socket.remoteAddress));
+  }
+
+  // 连接状态: url 为对方的监听地址 (入站连接在握手后才知道)
+  createPeer(inbound, url, remoteAddress) {
+    return {
+      inbound,
+      url,
+      remoteAddress,
+      connectedAt: null,
+      handshake: null,
+      handshakeTimer: null,
+      bestHeight: 0,
+      syncFailed: false,
+      alive: true,
+      score: 0, // 不当行为分数
+      windowStart: 0, // 当前速率限制窗口的开始时间
+      messageCount: 0 // 当前窗口内收到的消息数
+    };
+  }
+
+  // 处理新连接: 先发送握手，对方在超时前没有完成握手则断开
+  connectSocket(socket, peer) {
+    if (this.banManager.isBanned(peer.remoteAddress, getPeerPort(peer.url))) {
+      console.log(`拒绝连接被封禁的地址: ${peer.remoteAddress}`);
+      socket.close(CLOSE_POLICY_VIOLATION, 'Banned');
+      return;
+    }
+
+    peer.connectedAt = Date.now();
+    peer.handshakeTimer = setTimeout(() => this.disconnect(socket, 'Handshake timeout'), config.P2P_HANDSHAKE_TIMEOUT);
+    this.peers.set(socket, peer);
+    console.log(`Socket connected (${peer.inbound ? '入站' : '出站'}${peer.url ? ` ${peer.url}` : ''})`);
+
+    socket.on('close', () => this.removeSocket(socket));
+    socket.on('error', error => console.error('P2P连接出错:', error.message));
+    socket.on('pong', () => {
+      peer.alive = true;
+    });
+
     this.messageHandler(socket);
-    this.sendChain(socket);
+    this.send(socket, MESSAGE_TYPES.HANDSHAKE, this.getHandshake());
+  }
+
+  // 本节点的握手信息
+  getHandshake() {
+    const tip = this.blockchain.getLatestBlock();
+    return {
+      protocolVersion: PROTOCOL_VERSION,
+      chainId: config.CHAIN_ID,
+      genesisHash: this.blockchain.chain[0].hash,
+      bestHeight: this.blockchain.chain.length - 1,
+      bestHash: tip.hash,
+      nodeId: this.nodeId,
+      listenPort: this.listenPort
+    };
   }
 
-  // 消息处理
+  // 消息处理: 先按消息模式校验，握手完成前只接受 HANDSHAKE
   messageHandler(socket) {
     socket.on('message', message => {
+      const peer = this.peers.get(socket);
+      if (!peer || !this.checkRateLimit(socket, peer)) {
+        return;
+      }
+
+      let data;
+      try {
+        data = parseMessage(message);
+      } catch (error) {
+        console.error(`丢弃无效的消息 (${error.code}):`, error.message);
+        if (!peer.handshake) {
+          this.disconnect(socket, error.message);
+        } else {
+          this.misbehave(socket, 'INVALID_MESSAGE', error.message);
+        }
+        return;
+      }
+
+      if (!peer.handshake && data.type !== MESSAGE_TYPES.HANDSHAKE) {
+        this.disconnect(socket, `Expected HANDSHAKE, got ${data.type}`);
+        return;
+      }
+
       try {
-        const data = JSON.parse(message);
-        
         switch(data.type) {
-          case 'CHAIN':
-            console.log('收到新的区块链数据');
-            this.blockchain.replaceChain(data.chain);
+          case MESSAGE_TYPES.HANDSHAKE:
+            this.handleHandshake(socket, peer, data);
+            break;
+          case MESSAGE_TYPES.GET_HEADERS:
+            this.send(socket, MESSAGE_TYPES.HEADERS, {
+              headers: this.blockchain.getHeadersAfterLocator(data.locator, config.P2P_MAX_HEADERS)
+            });
+            break;
+          case MESSAGE_TYPES.HEADERS:
+            this.handleHeaders(socket, peer, data.headers);
+            break;
+          case MESSAGE_TYPES.GET_BLOCKS:
+            this.send(socket, MESSAGE_TYPES.BLOCKS, { blocks: this.blockchain.getBlocksByHash(data.hashes) });
             break;
-          case 'TRANSACTION':
-            console.log('收到新的交易');
-            // 重建交易对象以确保它有所有正确的方法
-            const transaction = this.createTransactionFromData(data.transaction);
-            this.blockchain.addTransaction(transaction);
+          case MESSAGE_TYPES.BLOCKS:
+            this.handleBlocks(socket, data.blocks);
+            break;
+          case MESSAGE_TYPES.NEW_BLOCK:
+            this.handleNewBlock(socket, peer, data.block);
+            break;
+          case MESSAGE_TYPES.GET_PEERS:
+            this.send(socket, MESSAGE_TYPES.PEERS, {
+              peers: this.peerManager.getShareableAddresses(config.P2P_MAX_PEERS_PER_MESSAGE)
+            });
+            break;
+          case MESSAGE_TYPES.PEERS:
+            this.peerManager.addAll(data.peers, 'gossip');
+            this.connectToPeers();
+            break;
+          case MESSAGE_TYPES.TRANSACTION:
+            this.handleTransaction(socket, data.transaction);
             break;
-          default:
-            console.log('收到未知类型的消息');
         }
       } catch (error) {
         console.error('处理消息时出错:', error.message);
@@ -62,45 +268,572 @@ class P2pServer {
     });
   }
 
-  // 从接收到的数据创建交易对象
-  createTransactionFromData(transactionData) {
-    const transaction = new Transaction(
-      transactionData.fromAddress,
-      transactionData.toAddress,
-      transactionData.amount
-    );
-    
-    // 复制其他属性
-    transaction.timestamp = transactionData.timestamp;
-    transaction.signature = transactionData.signature;
-    
-    return transaction;
+  // 校验对方的握手信息，不在同一个网络或创世区块不同的节点直接断开
+  handleHandshake(socket, peer, handshake) {
+    if (peer.handshake) {
+      this.misbehave(socket, 'INVALID_MESSAGE', 'Duplicate HANDSHAKE');
+      return;
+    }
+
+    if (handshake.protocolVersion < MIN_PROTOCOL_VERSION) {
+      return this.disconnect(socket, `Unsupported protocol version ${handshake.protocolVersion}`);
+    }
+    if (handshake.chainId !== config.CHAIN_ID) {
+      return this.disconnect(socket, `Chain ID mismatch: ${handshake.chainId}`);
+    }
+    if (handshake.genesisHash !== this.blockchain.chain[0].hash) {
+      return this.disconnect(socket, 'Genesis block mismatch');
+    }
+    if (handshake.nodeId === this.nodeId) {
+      // 通过地址交换得到的自己的地址，不再尝试连接
+      if (peer.url) {
+        this.peerManager.remove(peer.url);
+      }
+      return this.disconnect(socket, 'Connected to self');
+    }
+    if (this.sockets.some(other => this.peers.get(other).handshake.nodeId === handshake.nodeId)) {
+      return this.disconnect(socket, 'Already connected to this node');
+    }
+
+    // 按 IP:端口 封禁的本机和局域网节点，入站连接在握手时才知道对方的监听端口
+    if (peer.inbound && this.banManager.isBanned(peer.remoteAddress, handshake.listenPort)) {
+      return this.disconnect(socket, 'Banned', CLOSE_POLICY_VIOLATION);
+    }
+
+    clearTimeout(peer.handshakeTimer);
+    peer.handshake = handshake;
+    peer.bestHeight = handshake.bestHeight;
+    this.sockets.push(socket);
+    console.log(`握手完成: 节点 ${handshake.nodeId}, 协议版本 ${handshake.protocolVersion}, 高度 ${handshake.bestHeight}`);
+
+    // 入站连接的对方地址由来源IP和握手中的监听端口组成
+    if (peer.inbound && handshake.listenPort !== undefined && peer.remoteAddress) {
+      peer.url = this.peerManager.add(formatPeerUrl(peer.remoteAddress, handshake.listenPort), 'inbound');
+    }
+    if (peer.url) {
+      this.peerManager.markConnected(peer.url);
+    }
+    if (handshake.protocolVersion >= PEERS_PROTOCOL_VERSION) {
+      this.send(socket, MESSAGE_TYPES.GET_PEERS);
+    }
+
+    // 只在对方的链可能更新时才开始同步
+    const tip = this.blockchain.getLatestBlock();
+    const height = this.blockchain.chain.length - 1;
+    if (handshake.bestHeight > height || (handshake.bestHeight === height && handshake.bestHash !== tip.hash)) {
+      this.startSync(socket);
+    }
+  }
+
+  // 开始与节点同步: 发送区块定位器，对方返回分叉点之后的区块头
+  // announced 为 true 表示同步由对方主动发送的区块头触发，没有得到工作量更大的链时计入不当行为
+  startSync(socket, announced = false) {
+    if (this.sync) {
+      return;
+    }
+
+    this.sync = {
+      socket,
+      announced,
+      awaiting: null, // 等待的响应类型 (HEADERS 或 BLOCKS)
+      ancestorHeight: null,
+      headers: [],
+      headerChain: null, // 公共祖先之前的本地区块 + 已下载的区块头，用于计算每个区块头应有的难度
+      truncated: false, // 区块头达到一轮同步的上限，对方还有更多区块
+      candidate: null,
+      state: null,
+      nextIndex: 0,
+      requested: [],
+      timer: null
+    };
+    this.requestFromSyncPeer(MESSAGE_TYPES.GET_HEADERS, { locator: this.blockchain.getBlockLocator() });
+  }
+
+  // 向同步节点发送请求，并重新开始计算响应超时
+  requestFromSyncPeer(type, fields) {
+    clearTimeout(this.sync.timer);
+    this.sync.awaiting = type === MESSAGE_TYPES.GET_HEADERS ? MESSAGE_TYPES.HEADERS : MESSAGE_TYPES.BLOCKS;
+    this.sync.timer = setTimeout(() => this.finishSync(false, 'Sync peer timed out'), config.P2P_SYNC_TIMEOUT);
+    this.send(this.sync.socket, type, fields);
+  }
+
+  // 处理区块头: 同步中的响应，或者对方主动发送的新区块头
+  handleHeaders(socket, peer, headers) {
+    if (headers.length === 0) {
+      if (this.isAwaiting(socket, MESSAGE_TYPES.HEADERS)) {
+        this.onHeadersComplete();
+      }
+      return;
+    }
+
+    if (!this.isAwaiting(socket, MESSAGE_TYPES.HEADERS)) {
+      return this.handleAnnouncedHeaders(socket, peer, headers);
+    }
+
+    const sync = this.sync;
+    if (sync.headers.length > 0) {
+      // 后续批次接不上已下载的区块头，说明对方在下载过程中切换了链，不属于不当行为
+      if (headers[0].previousHash !== sync.headers[sync.headers.length - 1].hash) {
+        return this.finishSync(false, 'Peer chain changed during header download');
+      }
+    } else {
+      // 第一批区块头必须接在本地链的某个区块之后，该区块即公共祖先
+      sync.ancestorHeight = this.blockchain.getBlockHeight(headers[0].previousHash);
+      if (sync.ancestorHeight === -1) {
+        return sync.announced
+          ? this.abortSync('INVALID_MESSAGE', 'Headers for announced chain do not connect to the local chain')
+          : this.finishSync(false, 'Headers do not connect to the local chain');
+      }
+      sync.headerChain = new Blockchain();
+      sync.headerChain.chain = this.blockchain.chain.slice(0, sync.ancestorHeight + 1);
+    }
+
+    if (!this.appendValidHeaders(sync.headerChain, headers)) {
+      return this.abortSync('INVALID_HEADERS', 'Received invalid or unconnected headers');
+    }
+    sync.headers.push(...headers);
+
+    // 一批已满说明对方还有更多区块头；已下载的区块头达到上限时先处理这一部分，其余的在下一轮同步中下载
+    if (sync.headers.length >= config.P2P_MAX_SYNC_HEADERS) {
+      sync.truncated = true;
+      this.onHeadersComplete();
+    } else if (headers.length === config.P2P_MAX_HEADERS) {
+      this.requestFromSyncPeer(MESSAGE_TYPES.GET_HEADERS, { locator: sync.headerChain.getBlockLocator() });
+    } else {
+      this.onHeadersComplete();
+    }
+  }
+
+  // 对方主动发送的区块头: 必须接在本地链上、逐个通过验证，且累计工作量大于本地链才与该节点同步
+  // (同步进行中时等同步结束后再处理)
+  handleAnnouncedHeaders(socket, peer, headers) {
+    const ancestorHeight = this.blockchain.getBlockHeight(headers[0].previousHash);
+    if (ancestorHeight === -1) {
+      console.log('忽略接不上本地链的区块头');
+      return;
+    }
+
+    const headerChain = new Blockchain();
+    headerChain.chain = this.blockchain.chain.slice(0, ancestorHeight + 1);
+    if (!this.appendValidHeaders(headerChain, headers)) {
+      return this.misbehave(socket, 'INVALID_HEADERS', 'Announced headers are invalid or unconnected');
+    }
+    if (headerChain.getCumulativeWork() <= this.blockchain.getCumulativeWork()) {
+      return;
+    }
+
+    // 对方的确切高度要等下载区块头后才知道
+    peer.syncFailed = false;
+    peer.bestHeight = Math.max(peer.bestHeight, headerChain.chain.length - 1);
+    this.startSync(socket, true);
   }
 
-  // 发送区块链数据
-  sendChain(socket) {
-    socket.send(JSON.stringify({ 
-      type: 'CHAIN', 
-      chain: this.blockchain.chain 
-    }));
+  // 逐个验证区块头并追加到 headerChain: 必须首尾相连，难度符合调整规则，且哈希满足该难度
+  appendValidHeaders(headerChain, headers) {
+    const chain = headerChain.chain;
+    for (const header of headers) {
+      if (header.previousHash !== chain[chain.length - 1].hash ||
+          header.difficulty !== headerChain.getDifficultyAt(chain.length) ||
+          !Block.isValidHeader(header)) {
+        return false;
+      }
+      chain.push(header);
+    }
+    return true;
   }
 
-  // 广播区块链更新
-  syncChains() {
+  // 区块头下载完成: 分叉链的工作量更大时才下载区块
+  // 由对方主动发送的区块头触发的同步没有得到工作量更大的链时，计入不当行为
+  onHeadersComplete() {
+    const sync = this.sync;
+    if (sync.headers.length === 0) {
+      return sync.announced
+        ? this.abortSync('INVALID_MESSAGE', 'Peer returned no headers for the chain it announced')
+        : this.finishSync(true, 'Already up to date');
+    }
+
+    const peer = this.peers.get(sync.socket);
+    peer.bestHeight = sync.ancestorHeight + sync.headers.length;
+
+    const prefix = this.blockchain.chain.slice(0, sync.ancestorHeight + 1);
+    const work = Blockchain.getChainWork(prefix) + Blockchain.getChainWork(sync.headers);
+    if (work <= this.blockchain.getCumulativeWork()) {
+      return sync.announced
+        ? this.abortSync('INVALID_MESSAGE', 'Announced chain has no more work than the local chain')
+        : this.finishSync(true, 'Peer chain has no more work than the local chain');
+    }
+
+    // 候选链从公共祖先开始，下载的区块逐块追加并验证
+    sync.candidate = new Blockchain();
+    sync.candidate.chain = prefix;
+    sync.state = this.blockchain.getValidationState(sync.ancestorHeight);
+    console.log(`开始下载区块: 公共祖先 #${sync.ancestorHeight}, 共 ${sync.headers.length} 个区块`);
+    this.requestNextBlocks();
+  }
+
+  // 请求下一批区块，全部下载并验证后替换本地链
+  requestNextBlocks() {
+    const sync = this.sync;
+    sync.requested = sync.headers
+      .slice(sync.nextIndex, sync.nextIndex + config.P2P_BLOCK_BATCH_SIZE)
+      .map(header => header.hash);
+
+    if (sync.requested.length > 0) {
+      this.requestFromSyncPeer(MESSAGE_TYPES.GET_BLOCKS, { hashes: sync.requested });
+      return;
+    }
+
+    // 候选链已经逐块验证过，replaceChain 只需再次比较工作量 (同步期间本地链可能已经增长)
+    const replaced = this.blockchain.replaceChain(sync.candidate.chain, true);
+    this.finishSync(replaced, replaced ? `Synced to height ${sync.candidate.chain.length - 1}` : 'Downloaded chain was not accepted');
+
+    // 把同步得到的新链尾转发给其他节点，区块头达到上限时继续与该节点同步剩余的区块
+    if (replaced) {
+      this.broadcastBlock(this.blockchain.getLatestBlock(), sync.socket);
+      if (sync.truncated) {
+        this.startSync(sync.socket);
+      }
+    }
+  }
+
+  // 处理下载的区块: 必须与请求的哈希一一对应，逐块验证后追加到候选链
+  handleBlocks(socket, blocksData) {
+    if (!this.isAwaiting(socket, MESSAGE_TYPES.BLOCKS)) {
+      console.log('忽略未请求的区块');
+      return;
+    }
+
+    const sync = this.sync;
+    if (blocksData.length !== sync.requested.length) {
+      return sync.announced
+        ? this.abortSync('INVALID_MESSAGE', 'Peer did not return all blocks of the chain it announced')
+        : this.finishSync(false, 'Peer did not return all requested blocks');
+    }
+
+    for (let i = 0; i < blocksData.length; i++) {
+      let block;
+      try {
+        block = Block.fromJSON(blocksData[i]);
+      } catch (error) {
+        return this.abortSync('INVALID_BLOCK', `Malformed block: ${error.message}`);
+      }
+
+      if (block.hash !== sync.requested[i]) {
+        return this.abortSync('INVALID_MESSAGE', 'Peer returned a block that was not requested');
+      }
+
+      sync.candidate.chain.push(block);
+      if (!sync.candidate.isValidBlockAt(sync.candidate.chain.length - 1, sync.state)) {
+        return this.abortSync(this.getInvalidBlockKind(block), `Invalid block at height ${sync.candidate.chain.length - 1}`);
+      }
+    }
+
+    sync.nextIndex += blocksData.length;
+    this.requestNextBlocks();
+  }
+
+  // 处理新区块公告: 接在链尾的验证后追加并转发，父区块未知或位于分叉上时通过同步补齐
+  handleNewBlock(socket, peer, blockData) {
+    let block;
+    try {
+      block = Block.fromJSON(blockData);
+    } catch (error) {
+      return this.misbehave(socket, 'INVALID_BLOCK', `Malformed block: ${error.message}`);
+    }
+
+    if (this.seenBlocks.has(block.hash) || this.blockchain.getBlockHeight(block.hash) !== -1) {
+      return;
+    }
+
+    if (block.previousHash === this.blockchain.getLatestBlock().hash) {
+      // 无效区块不会被转发，也不计入已处理
+      // (否则伪造交易列表的同哈希区块会使真正的区块被当作重复而丢弃)
+      try {
+        this.blockchain.addBlock(block);
+      } catch (error) {
+        return this.misbehave(socket, this.getInvalidBlockKind(block), `Invalid new block: ${error.message}`);
+      }
+      console.log(`收到新区块 #${this.blockchain.chain.length - 1}: ${block.hash}`);
+      this.broadcastBlock(block, socket);
+      return;
+    }
+
+    if (!Block.isValidHeader(block)) {
+      return this.misbehave(socket, 'INVALID_BLOCK', 'New block has invalid proof of work');
+    }
+
+    console.log(`新区块 ${block.hash} 不在本地链尾之后，开始同步`);
+    peer.syncFailed = false;
+    peer.bestHeight = Math.max(peer.bestHeight, this.blockchain.chain.length);
+    this.startSync(socket);
+  }
+
+  // 处理广播的交易: 格式错误或签名无效的交易计入不当行为 (没有错误码的异常来自无法解析的公钥等数据)
+  handleTransaction(socket, transactionData) {
+    try {
+      this.blockchain.addTransaction(Transaction.fromJSON(transactionData));
+      console.log('收到新的交易');
+    } catch (error) {
+      if (!error.code || INVALID_TRANSACTION_CODES.has(error.code)) {
+        this.misbehave(socket, 'INVALID_TRANSACTION', error.message);
+      } else {
+        console.log(`忽略交易 (${error.code}): ${error.message}`);
+      }
+    }
+  }
+
+  // 验证失败的区块: 时间戳超前本地时间的可能只是两个节点的时钟不一致，不计入不当行为
+  getInvalidBlockKind(block) {
+    return block.timestamp >= Date.now() + config.TIMESTAMP_TOLERANCE ? null : 'INVALID_BLOCK';
+  }
+
+  // 记录已处理的区块，已经见过时返回 false
+  markBlockSeen(hash) {
+    if (this.seenBlocks.has(hash)) {
+      return false;
+    }
+
+    this.seenBlocks.add(hash);
+    if (this.seenBlocks.size > SEEN_BLOCKS_LIMIT) {
+      this.seenBlocks.delete(this.seenBlocks.values().next().value);
+    }
+    return true;
+  }
+
+  // 是否正在等待该节点的某类响应
+  isAwaiting(socket, type) {
+    return this.sync !== null && this.sync.socket === socket && this.sync.awaiting === type;
+  }
+
+  // 结束同步，然后尝试与其他高度更高的节点同步
+  finishSync(success, reason) {
+    const sync = this.sync;
+    clearTimeout(sync.timer);
+    this.sync = null;
+    console.log(`同步结束: ${reason}`);
+
+    const peer = this.peers.get(sync.socket);
+    if (peer && !success) {
+      peer.syncFailed = true;
+    }
+
+    const height = this.blockchain.chain.length - 1;
+    const next = this.sockets.find(other => {
+      const candidate = this.peers.get(other);
+      return other !== sync.socket && !candidate.syncFailed && candidate.bestHeight > height;
+    });
+    if (next) {
+      this.startSync(next);
+    }
+  }
+
+  // 因对方的错误数据结束同步，并计入不当行为
+  abortSync(kind, reason) {
+    const socket = this.sync.socket;
+    this.finishSync(false, reason);
+    this.misbehave(socket, kind, reason);
+  }
+
+  // 速率限制: 每个时间窗口内超出上限的消息直接丢弃
+  checkRateLimit(socket, peer) {
+    const now = Date.now();
+    if (now - peer.windowStart >= config.P2P_RATE_LIMIT_WINDOW) {
+      peer.windowStart = now;
+      peer.messageCount = 0;
+    }
+
+    peer.messageCount++;
+    if (peer.messageCount <= config.P2P_RATE_LIMIT_MESSAGES) {
+      return true;
+    }
+    if (peer.messageCount === config.P2P_RATE_LIMIT_MESSAGES + 1) {
+      this.misbehave(socket, 'FLOODING', `More than ${config.P2P_RATE_LIMIT_MESSAGES} messages in ${config.P2P_RATE_LIMIT_WINDOW} ms`);
+    }
+    return false;
+  }
+
+  // 增加不当行为分数 (kind 为 null 时只记录日志)，达到阈值时封禁
+  misbehave(socket, kind, reason) {
+    const peer = this.peers.get(socket);
+    if (!peer || !kind) {
+      console.log(`节点发送了无效数据: ${reason}`);
+      return;
+    }
+
+    peer.score += MISBEHAVIOR_SCORES[kind];
+    console.log(`节点不当行为 (${kind}, 分数 ${peer.score}): ${reason}`);
+    if (peer.score >= config.P2P_BAN_THRESHOLD) {
+      this.banPeer(socket, peer, reason);
+    }
+  }
+
+  // 封禁对方的地址，并断开来自该地址的所有连接
+  // 本机和局域网节点按监听端口封禁，握手前还不知道端口时只断开连接
+  banPeer(socket, peer, reason) {
+    const entry = this.banManager.ban(peer.remoteAddress, getPeerPort(peer.url), reason);
+    if (!entry) {
+      return this.disconnect(socket, reason, CLOSE_POLICY_VIOLATION);
+    }
+
+    console.log(`封禁节点 ${entry.address} 至 ${new Date(entry.until).toISOString()}: ${reason}`);
+    for (const [other, otherPeer] of this.peers) {
+      if (other === socket || this.banManager.isBanned(otherPeer.remoteAddress, getPeerPort(otherPeer.url))) {
+        this.disconnect(other, 'Banned', CLOSE_POLICY_VIOLATION);
+      }
+    }
+  }
+
+  // 当前封禁列表 (HTTP接口 /bans)
+  getBans() {
+    return {
+      threshold: config.P2P_BAN_THRESHOLD,
+      bans: this.banManager.list()
+    };
+  }
+
+  // 解除单个地址的封禁，地址未被封禁时返回 false
+  unban(address) {
+    return this.banManager.unban(address);
+  }
+
+  // 解除所有封禁，返回解除的数量
+  clearBans() {
+    return this.banManager.clear();
+  }
+
+  // 关闭连接 (默认以协议错误关闭)
+  // 先从连接表中移除，关闭时出错也不会留下失效的连接
+  disconnect(socket, reason, code = CLOSE_PROTOCOL_ERROR) {
+    console.log(`断开P2P连接: ${reason}`);
+    this.removeSocket(socket);
+    socket.close(code, truncateCloseReason(reason));
+  }
+
+  // 心跳: 上一次 ping 之后没有收到 pong 的连接视为已断开
+  heartbeat() {
+    for (const [socket, peer] of this.peers) {
+      if (!peer.alive) {
+        console.log(`连接无响应，断开: ${peer.url || peer.remoteAddress}`);
+        socket.terminate();
+        this.removeSocket(socket);
+        continue;
+      }
+
+      peer.alive = false;
+      socket.ping();
+    }
+  }
+
+  // 当前连接和已知地址 (HTTP接口 /peers)
+  getPeers() {
+    return {
+      nodeId: this.nodeId,
+      inbound: [...this.peers.values()].filter(peer => peer.inbound).length,
+      outbound: this.outbound.size,
+      connected: [...this.peers.values()].map(peer => ({
+        nodeId: peer.handshake ? peer.handshake.nodeId : null,
+        url: peer.url,
+        inbound: peer.inbound,
+        remoteAddress: peer.remoteAddress,
+        protocolVersion: peer.handshake ? peer.handshake.protocolVersion : null,
+        bestHeight: peer.bestHeight,
+        score: peer.score,
+        connectedAt: peer.connectedAt
+      })),
+      known: this.peerManager.list()
+    };
+  }
+
+  // 手动添加节点地址并尝试连接，地址无效时返回 null
+  addPeer(url) {
+    const normalized = this.peerManager.add(url, 'manual');
+    if (normalized) {
+      this.connectToPeers();
+    }
+    return normalized;
+  }
+
+  // 删除节点地址并断开与它的连接
+  removePeer(url) {
+    const normalized = PeerManager.normalizeUrl(url);
+    const removed = this.peerManager.remove(normalized);
+
+    for (const [socket, peer] of this.peers) {
+      if (peer.url === normalized) {
+        this.disconnect(socket, 'Peer removed', CLOSE_NORMAL);
+      }
+    }
+
+    // 尚未建立的出站连接直接终止
+    const pending = this.outbound.get(normalized);
+    if (pending && !this.peers.has(pending)) {
+      pending.terminate();
+    }
+    return removed;
+  }
+
+  // 连接关闭后清理状态
+  removeSocket(socket) {
+    const peer = this.peers.get(socket);
+    if (peer) {
+      clearTimeout(peer.handshakeTimer);
+      this.peers.delete(socket);
+    }
+    this.sockets = this.sockets.filter(other => other !== socket);
+
+    if (this.sync && this.sync.socket === socket) {
+      this.finishSync(false, 'Sync peer disconnected');
+    }
+  }
+
+  // 向单个连接发送消息 (已关闭的连接直接跳过)
+  send(socket, type, fields) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(createMessage(type, fields));
+    }
+  }
+
+  // 广播新区块 (不发回给区块的来源节点)
+  broadcastBlock(block, sourceSocket = null) {
+    this.markBlockSeen(block.hash);
     this.sockets.forEach(socket => {
-      this.sendChain(socket);
+      if (socket !== sourceSocket) {
+        this.send(socket, MESSAGE_TYPES.NEW_BLOCK, { block });
+      }
     });
   }
 
   // 广播交易
   broadcastTransaction(transaction) {
     this.sockets.forEach(socket => {
-      socket.send(JSON.stringify({
-        type: 'TRANSACTION',
-        transaction
-      }));
+      this.send(socket, MESSAGE_TYPES.TRANSACTION, { transaction });
     });
   }
 }
 
-module.exports = P2pServer;
\ No newline at end of file
+// 由IP地址和端口组成节点地址 (IPv6地址需要加方括号，IPv4映射地址转换为IPv4)
+function formatPeerUrl(address, port) {
+  const host = address.replace(/^::ffff:/, '');
+  return host.includes(':') ? `ws://[${host}]:${port}` : `ws://${host}:${port}`;
+}
+
+// 关闭原因可能包含对方发送的字符串 (如链ID)，按UTF-8字节截断到协议上限，不截断多字节字符
+function truncateCloseReason(reason) {
+  const chars = Array.from(reason);
+  while (Buffer.byteLength(chars.join('')) > MAX_CLOSE_REASON_BYTES) {
+    chars.pop();
+  }
+  return chars.join('');
+}
+
+// 节点监听地址中的主机 (URL中的IPv6地址带方括号，去掉后才能与封禁记录比较)
+function getPeerHost(url) {
+  return new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+// 节点监听地址中的端口，地址未知时为 null
+function getPeerPort(url) {
+  return url ? Number(new URL(url).port) || null : null;
+}
+
+module.exports = P2pServer;
@@ -0,0 +1,189 @@
+// peer-manager.js - 已知节点地址的管理和持久化 (Node节点使用)
+// 记录每个地址的连接结果，连接失败后按指数退避推迟下一次重连
+// 地址列表保存在 peers.json 中 (先写临时文件再重命名)，重启后继续使用
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// 地址来源: 配置文件、HTTP接口手动添加、入站连接、其他节点的 PEERS 消息
+// 只有 gossip 来源的地址会受数量上限限制
+const PEER_SOURCES = ['config', 'manual', 'inbound', 'gossip'];
+
+// 连续失败达到该次数的 gossip 地址直接删除，避免无效地址占满列表
+const MAX_GOSSIP_FAILURES = 8;
+
+class PeerManager {
+  // filePath 为 null 时只在内存中保存
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.peers = new Map(); // url -> { url, source, failures, nextAttempt, lastConnected }
+  }
+
+  // 规范化节点地址，只接受 ws:// 和 wss://，格式错误时返回 null
+  static normalizeUrl(url) {
+    if (typeof url !== 'string') {
+      return null;
+    }
+
+    try {
+      const parsed = new URL(url);
+      if ((parsed.protocol !== 'ws:' && parsed.protocol !== 'wss:') || !parsed.hostname) {
+        return null;
+      }
+      return parsed.origin;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // 从磁盘加载地址列表，文件损坏时忽略
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const entry of Array.isArray(data.peers) ? data.peers : []) {
+        const url = PeerManager.normalizeUrl(entry.url);
+        if (url && PEER_SOURCES.includes(entry.source)) {
+          this.peers.set(url, {
+            url,
+            source: entry.source,
+            failures: Number.isSafeInteger(entry.failures) ? entry.failures : 0,
+            nextAttempt: 0, // 重启后立即尝试连接
+            lastConnected: Number.isSafeInteger(entry.lastConnected) ? entry.lastConnected : null
+          });
+        }
+      }
+    } catch (error) {
+      console.error('无法读取节点列表，将重新建立:', error.message);
+    }
+  }
+
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempFile = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ peers: this.list() }, null, 2));
+    fs.renameSync(tempFile, this.filePath);
+  }
+
+  // 添加地址，返回规范化后的地址；地址无效或 gossip 地址已达上限时返回 null
+  add(url, source) {
+    const result = this.insert(url, source);
+    if (result.changed) {
+      this.save();
+    }
+    return result.url;
+  }
+
+  // 批量添加地址 (配置文件和 PEERS 消息)，所有地址处理完后只写一次磁盘
+  addAll(urls, source) {
+    let changed = false;
+    for (const url of urls) {
+      changed = this.insert(url, source).changed || changed;
+    }
+    if (changed) {
+      this.save();
+    }
+  }
+
+  // 添加地址但不写磁盘，返回 { url, changed }，url 的含义与 add 的返回值相同
+  insert(url, source) {
+    const normalized = PeerManager.normalizeUrl(url);
+    if (!normalized) {
+      return { url: null, changed: false };
+    }
+
+    const existing = this.peers.get(normalized);
+    if (existing) {
+      // 手动添加或配置的地址优先于其他来源，并立即允许重连
+      if (source === 'manual' || source === 'config') {
+        existing.source = source;
+        existing.nextAttempt = 0;
+        return { url: normalized, changed: true };
+      }
+      return { url: normalized, changed: false };
+    }
+
+    if (source === 'gossip' && this.peers.size >= config.P2P_MAX_KNOWN_PEERS) {
+      return { url: null, changed: false };
+    }
+
+    this.peers.set(normalized, { url: normalized, source, failures: 0, nextAttempt: 0, lastConnected: null });
+    return { url: normalized, changed: true };
+  }
+
+  remove(url) {
+    const removed = this.peers.delete(PeerManager.normalizeUrl(url));
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+
+  has(url) {
+    return this.peers.has(PeerManager.normalizeUrl(url));
+  }
+
+  list() {
+    return [...this.peers.values()];
+  }
+
+  // 握手成功: 清除失败计数
+  markConnected(url) {
+    const peer = this.peers.get(url);
+    if (peer) {
+      peer.failures = 0;
+      peer.lastConnected = Date.now();
+      this.save();
+    }
+  }
+
+  // 已建立的连接断开: 稍后重连
+  markDisconnected(url) {
+    const peer = this.peers.get(url);
+    if (peer) {
+      peer.nextAttempt = Date.now() + config.P2P_RECONNECT_BASE_DELAY;
+    }
+  }
+
+  // 连接或握手失败: 重连间隔按失败次数指数增长，不超过上限
+  markFailed(url) {
+    const peer = this.peers.get(url);
+    if (peer) {
+      peer.failures++;
+      if (peer.source === 'gossip' && peer.failures >= MAX_GOSSIP_FAILURES) {
+        this.remove(url);
+        return;
+      }
+
+      const delay = config.P2P_RECONNECT_BASE_DELAY * Math.pow(2, peer.failures - 1);
+      peer.nextAttempt = Date.now() + Math.min(delay, config.P2P_RECONNECT_MAX_DELAY);
+      this.save();
+    }
+  }
+
+  // 已到重连时间的地址 (excluded 为正在连接或已连接的地址)
+  getDialCandidates(excluded) {
+    const now = Date.now();
+    return this.list()
+      .filter(peer => peer.nextAttempt <= now && !excluded.has(peer.url))
+      .sort((a, b) => a.failures - b.failures);
+  }
+
+  // 分享给其他节点的地址: 只分享曾经成功连接过的地址
+  getShareableAddresses(limit) {
+    return this.list()
+      .filter(peer => peer.lastConnected !== null)
+      .sort((a, b) => b.lastConnected - a.lastConnected)
+      .slice(0, limit)
+      .map(peer => peer.url);
+  }
+}
+
+module.exports = PeerManager;
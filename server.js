@@ -5,19 +5,27 @@ const cors = require('cors');
 const EC = require('elliptic').ec;
 const ec = new EC('secp256k1'); // 与比特币使用的相同的椭圆曲线
 
-const { Blockchain, Transaction } = require('./blockchain');
+const { Transaction } = require('./blockchain');
+const { publicKeyToAddress, isValidAddress } = require('./address');
+const Wallet = require('./wallet');
+const ChainStorage = require('./storage');
 
 // 初始化Express应用
 const app = express();
 app.use(bodyParser.json());
 app.use(cors());
 
-// 创建区块链实例
-const myChain = new Blockchain();
+// 服务端口
+const PORT = process.env.PORT || 3000;
+
+// 从磁盘加载区块链实例 (首次启动时创建新链)，之后的变化自动写入磁盘
+const storage = new ChainStorage(process.env.DATA_DIR || `data/server-${PORT}`);
+const myChain = storage.loadBlockchain();
+storage.attach(myChain);
 
 // 生成一些密钥对用于测试
 const myKey = ec.genKeyPair();
-const myWalletAddress = myKey.getPublic('hex');
+const myWalletAddress = publicKeyToAddress(myKey.getPublic('hex'));
 
 // 网络节点列表
 const nodes = new Set();
@@ -27,31 +35,44 @@ app.get('/blockchain', (req, res) => {
   res.json({
     chain: myChain.chain,
     pendingTransactions: myChain.pendingTransactions,
-    length: myChain.chain.length
+    length: myChain.chain.length,
+    difficulty: myChain.getDifficulty()
   });
 });
 
-// 路由: 创建交易
+// 路由: 创建交易 (请求体为客户端已签名的交易，ALLOW_SERVER_SIGNING=true 时也可以携带私钥由服务端签名)
 app.post('/transaction', (req, res) => {
-  const { fromAddress, toAddress, amount, privateKey } = req.body;
+  const { fromAddress, toAddress, amount, privateKey, nonce, fee = 0, lockTime = 0 } = req.body;
   
   try {
-    // 使用私钥创建密钥对
-    const keyPair = ec.keyFromPrivate(privateKey);
-    
-    // 创建并签名交易
-    const tx = new Transaction(fromAddress, toAddress, amount);
-    tx.signTransaction(keyPair);
+    let tx;
+    if (!privateKey) {
+      tx = Transaction.fromJSON(req.body);
+    } else if (process.env.ALLOW_SERVER_SIGNING !== 'true') {
+      return res.status(403).json({
+        error: 'Server-side signing is disabled, submit a signed transaction instead',
+        code: 'SERVER_SIGNING_DISABLED'
+      });
+    } else {
+      // 使用私钥创建密钥对
+      const keyPair = ec.keyFromPrivate(privateKey);
+
+      // 创建并签名交易
+      const txNonce = nonce !== undefined ? nonce : myChain.getNextNonce(fromAddress);
+      tx = new Transaction(fromAddress, toAddress, amount, txNonce, fee, lockTime);
+      tx.signTransaction(keyPair);
+    }
     
     // 添加到待处理交易
     myChain.addTransaction(tx);
     
     res.json({ 
       message: 'Transaction added successfully',
-      transaction: tx
+      transaction: tx,
+      transactionHash: tx.calculateHash()
     });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    res.status(400).json({ error: error.message, code: error.code });
   }
 });
 
@@ -62,11 +83,15 @@ app.post('/mine', (req, res) => {
   if (!minerAddress) {
     return res.status(400).json({ error: 'Missing miner address' });
   }
+
+  if (!isValidAddress(minerAddress)) {
+    return res.status(400).json({ error: 'Invalid miner address', code: 'INVALID_ADDRESS' });
+  }
   
   // 添加一些交易以供测试
-  if (myChain.pendingTransactions.length === 0) {
-    // 如果没有待处理交易，添加一个测试交易
-    const testTx = new Transaction(myWalletAddress, minerAddress, 10);
+  if (myChain.pendingTransactions.length === 0 && myChain.getAvailableBalance(myWalletAddress) >= 10) {
+    // 如果没有待处理交易且测试钱包余额充足，添加一个测试交易
+    const testTx = new Transaction(myWalletAddress, minerAddress, 10, myChain.getNextNonce(myWalletAddress));
     testTx.signTransaction(myKey);
     myChain.addTransaction(testTx);
   }
@@ -89,6 +114,51 @@ app.get('/balance/:address', (req, res) => {
   });
 });
 
+// 路由: 获取账户的下一个nonce
+app.get('/nonce/:address', (req, res) => {
+  res.json({
+    address: req.params.address,
+    nonce: myChain.getNextNonce(req.params.address),
+    confirmedNonce: myChain.getNonceOfAddress(req.params.address)
+  });
+});
+
+// 路由: 获取代币供应情况
+app.get('/supply', (req, res) => {
+  res.json(myChain.getSupplyInfo());
+});
+
+// 路由: 根据最近区块估算手续费
+app.get('/fees/estimate', (req, res) => {
+  const blocks = parseInt(req.query.blocks, 10);
+  res.json(myChain.estimateFee(blocks > 0 ? blocks : undefined));
+});
+
+// 路由: 查看交易池及时间锁交易何时可以被打包
+app.get('/mempool', (req, res) => {
+  res.json(myChain.getMempool());
+});
+
+// 路由: 获取地址的交易记录
+app.get('/history/:address', (req, res) => {
+  res.json({
+    address: req.params.address,
+    height: myChain.chain.length - 1,
+    transactions: myChain.getTransactionHistory(req.params.address)
+  });
+});
+
+// 路由: 获取交易的Merkle包含证明
+app.get('/proof/:txHash', (req, res) => {
+  const proof = myChain.getTransactionProof(req.params.txHash);
+
+  if (!proof) {
+    return res.status(404).json({ error: 'Transaction not found in chain' });
+  }
+
+  res.json(proof);
+});
+
 // 路由: 注册新节点
 app.post('/nodes/register', (req, res) => {
   const newNodes = req.body.nodes;
@@ -117,17 +187,61 @@ app.get('/validate', (req, res) => {
   });
 });
 
-// 创建钱包
+// 路由: 验证消息签名 (证明地址所有权)
+app.post('/message/verify', (req, res) => {
+  const { address, message, signature, publicKey } = req.body;
+
+  if (!address || typeof message !== 'string' || !signature || !publicKey) {
+    return res.status(400).json({ error: 'Missing address, message, signature or publicKey' });
+  }
+
+  res.json({
+    address,
+    message,
+    valid: Wallet.verifyMessage(address, message, signature, publicKey)
+  });
+});
+
+// 路由: 签名消息 (仅开发模式 ALLOW_SERVER_SIGNING=true 下可用，正常情况应在客户端签名)
+app.post('/message/sign', (req, res) => {
+  const { message, privateKey } = req.body;
+
+  if (process.env.ALLOW_SERVER_SIGNING !== 'true') {
+    return res.status(403).json({
+      error: 'Server-side signing is disabled, sign the message with the wallet CLI instead',
+      code: 'SERVER_SIGNING_DISABLED'
+    });
+  }
+
+  if (!privateKey || typeof message !== 'string') {
+    return res.status(400).json({ error: 'Missing message or privateKey' });
+  }
+
+  try {
+    res.json(new Wallet(privateKey).signMessage(message));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// 创建钱包: 私钥经HTTP返回，只在开发模式 (ALLOW_SERVER_SIGNING=true) 下可用，正常情况应使用 node wallet.js new
 app.get('/wallet/new', (req, res) => {
+  if (process.env.ALLOW_SERVER_SIGNING !== 'true') {
+    return res.status(403).json({
+      error: 'Server-side key generation is disabled, create a wallet with the wallet CLI (node wallet.js new) instead',
+      code: 'SERVER_SIGNING_DISABLED'
+    });
+  }
+
   const key = ec.genKeyPair();
   res.json({
     privateKey: key.getPrivate('hex'),
-    publicKey: key.getPublic('hex')
+    publicKey: key.getPublic(true, 'hex'),
+    address: publicKeyToAddress(key.getPublic('hex'))
   });
 });
 
 // 启动服务器
-const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`区块链服务已启动，监听端口: ${PORT}`);
 });
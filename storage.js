@@ -0,0 +1,207 @@
+// storage.js - 区块链持久化存储 (Node节点使用)
+// 区块按顺序追加写入 blocks.dat，每条记录为 [4字节长度][4字节校验和][区块JSON]
+// blocks.idx 记录每个区块在数据文件中的偏移，用于回滚到指定高度；启动时以数据文件为准重建
+// 交易池整体写入 mempool.json (先写临时文件再重命名，保证原子性)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Blockchain } = require('./blockchain');
+
+const RECORD_HEADER_SIZE = 8;
+
+// 记录校验和: 数据SHA-256的前4个字节
+function checksum(payload) {
+  return crypto.createHash('sha256').update(payload).digest().readUInt32BE(0);
+}
+
+class ChainStorage {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.blocksFile = path.join(dataDir, 'blocks.dat');
+    this.indexFile = path.join(dataDir, 'blocks.idx');
+    this.mempoolFile = path.join(dataDir, 'mempool.json');
+    this.index = []; // 每个区块的 { offset, length, hash }
+    this.mempoolSaveScheduled = false;
+  }
+
+  // 从磁盘加载并重新验证区块链，没有数据时创建新链
+  loadBlockchain() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+
+    const blocks = this.readBlocks();
+    if (blocks.length === 0) {
+      const blockchain = new Blockchain();
+      this.syncChain(blockchain.chain);
+      console.log(`已创建新的区块链存储: ${this.dataDir}`);
+      return blockchain;
+    }
+
+    let blockchain;
+    try {
+      blockchain = Blockchain.fromJSON({
+        chain: blocks,
+        pendingTransactions: this.readMempool()
+      });
+    } catch (error) {
+      throw new Error(`Stored blockchain in ${this.dataDir} failed validation: ${error.message}`);
+    }
+
+    console.log(`从磁盘加载区块链, 区块数: ${blockchain.chain.length}, 待处理交易: ${blockchain.pendingTransactions.length}`);
+    return blockchain;
+  }
+
+  // 监听区块链变化并写入磁盘
+  attach(blockchain) {
+    blockchain.on('chainUpdated', () => this.syncChain(blockchain.chain));
+    blockchain.on('mempoolUpdated', () => this.scheduleMempoolSave(blockchain));
+  }
+
+  // 顺序读取所有完整的区块记录，末尾不完整或校验失败的记录 (写入时崩溃) 会被截断
+  readBlocks() {
+    if (!fs.existsSync(this.blocksFile)) {
+      this.index = [];
+      this.writeIndex();
+      return [];
+    }
+
+    const buffer = fs.readFileSync(this.blocksFile);
+    const blocks = [];
+    const index = [];
+    let offset = 0;
+
+    while (offset + RECORD_HEADER_SIZE <= buffer.length) {
+      const length = buffer.readUInt32BE(offset);
+      const end = offset + RECORD_HEADER_SIZE + length;
+      if (end > buffer.length) {
+        break;
+      }
+
+      const payload = buffer.subarray(offset + RECORD_HEADER_SIZE, end);
+      if (checksum(payload) !== buffer.readUInt32BE(offset + 4)) {
+        break;
+      }
+
+      let block;
+      try {
+        block = JSON.parse(payload.toString('utf8'));
+      } catch (error) {
+        break;
+      }
+
+      blocks.push(block);
+      index.push({ offset, length: end - offset, hash: block.hash });
+      offset = end;
+    }
+
+    if (offset < buffer.length) {
+      console.warn(`区块文件末尾存在不完整的记录，截断到第 ${blocks.length} 个区块 (${offset} 字节)`);
+      fs.truncateSync(this.blocksFile, offset);
+    }
+
+    this.index = index;
+    this.writeIndex();
+    return blocks;
+  }
+
+  // 让磁盘上的区块与内存中的链保持一致: 回滚到第一个不同的区块，再追加新区块
+  syncChain(chain) {
+    let height = 0;
+    while (height < this.index.length && height < chain.length && this.index[height].hash === chain[height].hash) {
+      height++;
+    }
+
+    if (height < this.index.length) {
+      this.truncateToHeight(height);
+    }
+    if (height < chain.length) {
+      this.appendBlocks(chain.slice(height));
+    }
+  }
+
+  appendBlocks(blocks) {
+    let offset = this.index.length > 0
+      ? this.index[this.index.length - 1].offset + this.index[this.index.length - 1].length
+      : 0;
+    const entries = [];
+
+    const fd = fs.openSync(this.blocksFile, 'a');
+    try {
+      for (const block of blocks) {
+        const payload = Buffer.from(JSON.stringify(block), 'utf8');
+        const header = Buffer.alloc(RECORD_HEADER_SIZE);
+        header.writeUInt32BE(payload.length, 0);
+        header.writeUInt32BE(checksum(payload), 4);
+
+        const record = Buffer.concat([header, payload]);
+        fs.writeSync(fd, record);
+        entries.push({ offset, length: record.length, hash: block.hash });
+        offset += record.length;
+      }
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    this.index.push(...entries);
+    fs.appendFileSync(this.indexFile, entries.map(entry => this.formatIndexEntry(entry)).join(''));
+  }
+
+  // 删除指定高度及之后的区块 (链重组时使用)
+  truncateToHeight(height) {
+    const offset = height < this.index.length ? this.index[height].offset : null;
+    if (offset === null) {
+      return;
+    }
+
+    fs.truncateSync(this.blocksFile, offset);
+    this.index = this.index.slice(0, height);
+    this.writeIndex();
+  }
+
+  formatIndexEntry(entry) {
+    return `${entry.offset} ${entry.length} ${entry.hash}\n`;
+  }
+
+  writeIndex() {
+    this.writeFileAtomic(this.indexFile, this.index.map(entry => this.formatIndexEntry(entry)).join(''));
+  }
+
+  readMempool() {
+    if (!fs.existsSync(this.mempoolFile)) {
+      return [];
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.mempoolFile, 'utf8'));
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      console.warn('交易池文件损坏，已忽略:', error.message);
+      return [];
+    }
+  }
+
+  // 同一轮事件循环内的多次交易池变化只写一次磁盘
+  scheduleMempoolSave(blockchain) {
+    if (this.mempoolSaveScheduled) {
+      return;
+    }
+
+    this.mempoolSaveScheduled = true;
+    setImmediate(() => {
+      this.mempoolSaveScheduled = false;
+      this.saveMempool(blockchain.pendingTransactions);
+    });
+  }
+
+  saveMempool(transactions) {
+    this.writeFileAtomic(this.mempoolFile, JSON.stringify(transactions));
+  }
+
+  writeFileAtomic(filePath, content) {
+    const tempFile = `${filePath}.tmp`;
+    fs.writeFileSync(tempFile, content);
+    fs.renameSync(tempFile, filePath);
+  }
+}
+
+module.exports = ChainStorage;
@@ -0,0 +1,84 @@
+// 封禁规则: 公网地址按IP封禁，本机和局域网地址按 IP:监听端口 封禁
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const BanManager = require('../ban-manager');
+
+// 默认规则 (不受环境变量 P2P_BAN_LOCAL_BY_PORT 影响)
+config.P2P_BAN_LOCAL_BY_PORT = true;
+
+test('公网地址按IP封禁，与端口无关', () => {
+  const bans = new BanManager();
+  assert.equal(bans.ban('203.0.113.7', 6001, 'INVALID_BLOCK').address, '203.0.113.7');
+
+  assert.ok(bans.isBanned('203.0.113.7'));
+  assert.ok(bans.isBanned('203.0.113.7', 7000));
+  assert.ok(bans.isBanned('::ffff:203.0.113.7'));
+  assert.ok(!bans.isBanned('203.0.113.8'));
+});
+
+test('本机和局域网地址按 IP:监听端口 封禁', () => {
+  const bans = new BanManager();
+  assert.equal(bans.ban('::ffff:127.0.0.1', 6002, 'INVALID_BLOCK').address, '127.0.0.1:6002');
+  assert.equal(bans.ban('192.168.1.20', 6001, 'FLOODING').address, '192.168.1.20:6001');
+  assert.equal(bans.ban('[fe80::1]', 6001, 'FLOODING').address, '[fe80::1]:6001');
+
+  assert.ok(bans.isBanned('127.0.0.1', 6002));
+  assert.ok(bans.isBanned('::FFFF:127.0.0.1', 6002));
+  assert.ok(!bans.isBanned('127.0.0.1', 6003));
+  assert.ok(!bans.isBanned('127.0.0.1'));
+  assert.ok(bans.isBanned('192.168.1.20', 6001));
+  assert.ok(!bans.isBanned('192.168.1.21', 6001));
+  assert.ok(bans.isBanned('fe80::1', 6001));
+});
+
+test('不知道本机地址的监听端口时不封禁', () => {
+  const bans = new BanManager();
+  assert.equal(BanManager.getBanKey('127.0.0.1'), null);
+  assert.equal(bans.ban('127.0.0.1', null, 'INVALID_BLOCK'), null);
+  assert.equal(bans.ban('10.0.0.5', 0, 'INVALID_BLOCK'), null);
+  assert.deepEqual(bans.list(), []);
+});
+
+test('关闭 P2P_BAN_LOCAL_BY_PORT 后本机地址也按IP封禁', t => {
+  const original = config.P2P_BAN_LOCAL_BY_PORT;
+  config.P2P_BAN_LOCAL_BY_PORT = false;
+  t.after(() => {
+    config.P2P_BAN_LOCAL_BY_PORT = original;
+  });
+
+  const bans = new BanManager();
+  assert.equal(bans.ban('127.0.0.1', 6002, 'INVALID_BLOCK').address, '127.0.0.1');
+  assert.ok(bans.isBanned('127.0.0.1', 6003));
+});
+
+test('封禁到期后自动解除，可以手动解除', () => {
+  const bans = new BanManager();
+  bans.ban('203.0.113.7', 6001, 'INVALID_BLOCK', -1);
+  assert.ok(!bans.isBanned('203.0.113.7'));
+  assert.deepEqual(bans.list(), []);
+
+  bans.ban('127.0.0.1', 6002, 'INVALID_BLOCK');
+  assert.ok(bans.unban('127.0.0.1:6002'));
+  assert.ok(!bans.isBanned('127.0.0.1', 6002));
+});
+
+test('封禁列表保存到磁盘，重启后继续生效', t => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bans-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const filePath = path.join(dataDir, 'bans.json');
+
+  const bans = new BanManager(filePath);
+  bans.ban('203.0.113.7', 6001, 'INVALID_BLOCK');
+  bans.ban('127.0.0.1', 6002, 'INVALID_HEADERS');
+
+  const reloaded = new BanManager(filePath);
+  reloaded.load();
+  assert.ok(reloaded.isBanned('203.0.113.7'));
+  assert.ok(reloaded.isBanned('127.0.0.1', 6002));
+  assert.ok(!reloaded.isBanned('127.0.0.1', 6003));
+  assert.equal(reloaded.list().find(entry => entry.address === '127.0.0.1:6002').reason, 'INVALID_HEADERS');
+});
@@ -0,0 +1,82 @@
+// 时间锁交易: lockTime 小于 LOCKTIME_THRESHOLD 为区块高度，否则为时间戳，到期前不能被打包
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const { Blockchain, Block, Transaction } = require('../blockchain');
+const Wallet = require('../wallet');
+
+config.DIFFICULTY = 1;
+
+// 挖出一个包含指定交易的区块 (不经过交易池)
+function mineBlockWith(blockchain, transactions, minerAddress) {
+  const height = blockchain.chain.length;
+  const fees = transactions.reduce((sum, tx) => sum + tx.fee, 0);
+  const rewardTx = new Transaction(null, minerAddress, blockchain.getBlockReward(height) + fees, height);
+  const block = new Block(Date.now(), [...transactions, rewardTx], blockchain.getLatestBlock().hash, blockchain.getDifficulty());
+  block.mineBlock();
+  return block;
+}
+
+test('按区块高度锁定的交易在该高度才被打包', () => {
+  const alice = new Wallet();
+  const bob = new Wallet();
+  const blockchain = new Blockchain();
+  blockchain.minePendingTransactions(alice.address);
+
+  const tx = alice.createTransaction(bob.address, 5, 0, 0, 4);
+  blockchain.addTransaction(tx);
+
+  // 高度 2、3 的区块不包含该交易
+  blockchain.minePendingTransactions(alice.address);
+  blockchain.minePendingTransactions(alice.address);
+  assert.equal(blockchain.chain.length, 4);
+  assert.equal(blockchain.pendingTransactions.length, 1);
+  assert.equal(blockchain.getBalanceOfAddress(bob.address), 0);
+
+  const block = blockchain.minePendingTransactions(alice.address);
+  assert.ok(block.getTransactionHashes().includes(tx.calculateHash()));
+  assert.equal(blockchain.pendingTransactions.length, 0);
+  assert.equal(blockchain.getBalanceOfAddress(bob.address), 5);
+});
+
+test('拒绝包含未到期交易的区块', () => {
+  const alice = new Wallet();
+  const bob = new Wallet();
+  const blockchain = new Blockchain();
+  blockchain.minePendingTransactions(alice.address);
+
+  const byHeight = alice.createTransaction(bob.address, 5, 0, 0, 3);
+  assert.throws(() => blockchain.addBlock(mineBlockWith(blockchain, [byHeight], bob.address)), { code: 'INVALID_BLOCK' });
+
+  const byTime = alice.createTransaction(bob.address, 5, 0, 0, Date.now() + 3600000);
+  assert.ok(byTime.lockTime >= config.LOCKTIME_THRESHOLD);
+  assert.throws(() => blockchain.addBlock(mineBlockWith(blockchain, [byTime], bob.address)), { code: 'INVALID_BLOCK' });
+
+  const expired = alice.createTransaction(bob.address, 5, 0, 0, Date.now() - 1000);
+  blockchain.addBlock(mineBlockWith(blockchain, [expired], bob.address));
+  assert.equal(blockchain.getBalanceOfAddress(bob.address), 5 + blockchain.getBlockReward(2));
+});
+
+test('同一账户后续nonce的交易等待前面的时间锁到期', () => {
+  const alice = new Wallet();
+  const bob = new Wallet();
+  const blockchain = new Blockchain();
+  blockchain.minePendingTransactions(alice.address);
+
+  blockchain.addTransaction(alice.createTransaction(bob.address, 5, 0, 0, Date.now() + 3600000));
+  blockchain.addTransaction(alice.createTransaction(bob.address, 5, 1));
+  blockchain.minePendingTransactions(alice.address);
+
+  assert.equal(blockchain.pendingTransactions.length, 2);
+  assert.equal(blockchain.getNonceOfAddress(alice.address), 0);
+});
+
+test('lockTime 必须是非负整数', () => {
+  const alice = new Wallet();
+  const bob = new Wallet();
+  const blockchain = new Blockchain();
+  blockchain.minePendingTransactions(alice.address);
+
+  assert.throws(() => blockchain.addTransaction(alice.createTransaction(bob.address, 5, 0, 0, -1)), { code: 'INVALID_LOCK_TIME' });
+  assert.throws(() => blockchain.addTransaction(alice.createTransaction(bob.address, 5, 0, 0, 1.5)), { code: 'INVALID_LOCK_TIME' });
+});
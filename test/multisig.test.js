@@ -0,0 +1,96 @@
+// 多签交易: M-of-N 地址的支出需要至少 M 个不同签名方的有效签名
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const { Blockchain, Block, Transaction } = require('../blockchain');
+const { multisigToAddress } = require('../address');
+const Wallet = require('../wallet');
+
+config.DIFFICULTY = 1;
+
+// 挖出一个包含指定交易的区块 (不经过交易池)
+function mineBlockWith(blockchain, transactions, minerAddress) {
+  const height = blockchain.chain.length;
+  const fees = transactions.reduce((sum, tx) => sum + tx.fee, 0);
+  const rewardTx = new Transaction(null, minerAddress, blockchain.getBlockReward(height) + fees, height);
+  const block = new Block(Date.now(), [...transactions, rewardTx], blockchain.getLatestBlock().hash, blockchain.getDifficulty());
+  block.mineBlock();
+  return block;
+}
+
+// 创建 2-of-3 多签地址并向它转入 20
+function createFundedMultisig() {
+  const signers = [new Wallet(), new Wallet(), new Wallet()];
+  const publicKeys = signers.map(wallet => wallet.publicKey);
+  const address = multisigToAddress(2, publicKeys);
+  const funder = new Wallet();
+  const blockchain = new Blockchain();
+
+  blockchain.minePendingTransactions(funder.address);
+  blockchain.addTransaction(funder.createTransaction(address, 20, 0));
+  blockchain.minePendingTransactions(funder.address);
+  assert.equal(blockchain.getBalanceOfAddress(address), 20);
+
+  return { blockchain, signers, publicKeys, address };
+}
+
+test('签名达到阈值后可以花费多签地址的余额', () => {
+  const { blockchain, signers, publicKeys, address } = createFundedMultisig();
+  const bob = new Wallet();
+
+  const tx = Transaction.createMultisig(2, publicKeys, bob.address, 5, 0);
+  assert.equal(tx.fromAddress, address);
+  signers[0].signMultisigTransaction(tx);
+  signers[2].signMultisigTransaction(tx);
+  blockchain.addTransaction(tx);
+  blockchain.minePendingTransactions(bob.address);
+
+  assert.equal(blockchain.getBalanceOfAddress(address), 15);
+  assert.ok(blockchain.isChainValid());
+});
+
+test('签名不足阈值的交易被拒绝', () => {
+  const { blockchain, signers, publicKeys } = createFundedMultisig();
+  const bob = new Wallet();
+
+  const tx = Transaction.createMultisig(2, publicKeys, bob.address, 5, 0);
+  signers[1].signMultisigTransaction(tx);
+  assert.throws(() => blockchain.addTransaction(tx), { code: 'INSUFFICIENT_SIGNATURES' });
+  assert.throws(() => blockchain.addBlock(mineBlockWith(blockchain, [tx], bob.address)), { code: 'INVALID_BLOCK' });
+
+  // 同一签名方重复签名只算一次
+  signers[1].signMultisigTransaction(tx);
+  assert.equal(tx.signatures.length, 1);
+  assert.throws(() => blockchain.addTransaction(tx), { code: 'INSUFFICIENT_SIGNATURES' });
+});
+
+test('不能用重复的签名凑够阈值', () => {
+  const { blockchain, signers, publicKeys } = createFundedMultisig();
+  const bob = new Wallet();
+
+  const tx = Transaction.createMultisig(2, publicKeys, bob.address, 5, 0);
+  signers[0].signMultisigTransaction(tx);
+  tx.signatures.push({ ...tx.signatures[0] });
+  assert.throws(() => blockchain.addTransaction(tx), { code: 'INVALID_SIGNATURE' });
+});
+
+test('不属于多签地址的密钥不能签名，修改阈值后地址不匹配', () => {
+  const { blockchain, signers, publicKeys } = createFundedMultisig();
+  const bob = new Wallet();
+
+  const tx = Transaction.createMultisig(2, publicKeys, bob.address, 5, 0);
+  assert.throws(() => bob.signMultisigTransaction(tx), { code: 'INVALID_SIGNER' });
+
+  // 把阈值改为1后只需一个签名，但公钥集合和阈值不再对应发送方地址
+  signers[0].signMultisigTransaction(tx);
+  tx.multisig.m = 1;
+  assert.throws(() => blockchain.addTransaction(tx), { code: 'INVALID_SIGNATURE' });
+});
+
+test('阈值必须满足 1 <= M <= N', () => {
+  const publicKeys = [new Wallet(), new Wallet()].map(wallet => wallet.publicKey);
+  const bob = new Wallet();
+
+  assert.throws(() => Transaction.createMultisig(0, publicKeys, bob.address, 5, 0), { code: 'INVALID_MULTISIG' });
+  assert.throws(() => Transaction.createMultisig(3, publicKeys, bob.address, 5, 0), { code: 'INVALID_MULTISIG' });
+});
@@ -0,0 +1,71 @@
+// 重放保护: 每个账户的交易nonce必须从0开始连续递增
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const { Blockchain, Block, Transaction } = require('../blockchain');
+const Wallet = require('../wallet');
+
+config.DIFFICULTY = 1;
+
+// 挖出一个包含指定交易的区块 (不经过交易池)
+function mineBlockWith(blockchain, transactions, minerAddress) {
+  const height = blockchain.chain.length;
+  const fees = transactions.reduce((sum, tx) => sum + tx.fee, 0);
+  const rewardTx = new Transaction(null, minerAddress, blockchain.getBlockReward(height) + fees, height);
+  const block = new Block(Date.now(), [...transactions, rewardTx], blockchain.getLatestBlock().hash, blockchain.getDifficulty());
+  block.mineBlock();
+  return block;
+}
+
+test('交易池拒绝重放同一笔交易', () => {
+  const alice = new Wallet();
+  const bob = new Wallet();
+  const blockchain = new Blockchain();
+  blockchain.minePendingTransactions(alice.address);
+
+  const tx = alice.createTransaction(bob.address, 5, 0);
+  blockchain.addTransaction(tx);
+  assert.throws(() => blockchain.addTransaction(tx), { code: 'NONCE_TOO_LOW' });
+  assert.equal(blockchain.getNextNonce(alice.address), 1);
+});
+
+test('已确认的交易不能再次提交', () => {
+  const alice = new Wallet();
+  const bob = new Wallet();
+  const blockchain = new Blockchain();
+  blockchain.minePendingTransactions(alice.address);
+
+  const tx = alice.createTransaction(bob.address, 5, 0);
+  blockchain.addTransaction(tx);
+  blockchain.minePendingTransactions(alice.address);
+  assert.equal(blockchain.getNonceOfAddress(alice.address), 1);
+
+  assert.throws(() => blockchain.addTransaction(tx), { code: 'NONCE_TOO_LOW' });
+  assert.throws(() => blockchain.addBlock(mineBlockWith(blockchain, [tx], bob.address)), { code: 'INVALID_BLOCK' });
+  assert.equal(blockchain.getBalanceOfAddress(bob.address), 5);
+});
+
+test('拒绝跳过nonce的交易', () => {
+  const alice = new Wallet();
+  const bob = new Wallet();
+  const blockchain = new Blockchain();
+  blockchain.minePendingTransactions(alice.address);
+
+  assert.throws(() => blockchain.addTransaction(alice.createTransaction(bob.address, 5, 1)), { code: 'NONCE_GAP' });
+  assert.throws(
+    () => blockchain.addBlock(mineBlockWith(blockchain, [alice.createTransaction(bob.address, 5, 1)], bob.address)),
+    { code: 'INVALID_BLOCK' }
+  );
+});
+
+test('nonce包含在签名中，修改nonce后签名失效', () => {
+  const alice = new Wallet();
+  const bob = new Wallet();
+  const blockchain = new Blockchain();
+  blockchain.minePendingTransactions(alice.address);
+  blockchain.addTransaction(alice.createTransaction(bob.address, 5, 0));
+
+  const replay = alice.createTransaction(bob.address, 5, 0);
+  replay.nonce = 1;
+  assert.throws(() => blockchain.addTransaction(replay), { code: 'INVALID_SIGNATURE' });
+});
@@ -0,0 +1,71 @@
+// 余额检查: 交易金额加手续费不能超过已确认余额减去交易池中的支出
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config');
+const { Blockchain, Block, Transaction } = require('../blockchain');
+const Wallet = require('../wallet');
+
+config.DIFFICULTY = 1;
+
+// 挖出一个包含指定交易的区块 (不经过交易池)
+function mineBlockWith(blockchain, transactions, minerAddress) {
+  const height = blockchain.chain.length;
+  const fees = transactions.reduce((sum, tx) => sum + tx.fee, 0);
+  const rewardTx = new Transaction(null, minerAddress, blockchain.getBlockReward(height) + fees, height);
+  const block = new Block(Date.now(), [...transactions, rewardTx], blockchain.getLatestBlock().hash, blockchain.getDifficulty());
+  block.mineBlock();
+  return block;
+}
+
+test('拒绝超过余额的交易', () => {
+  const alice = new Wallet();
+  const bob = new Wallet();
+  const blockchain = new Blockchain();
+  blockchain.minePendingTransactions(alice.address);
+  const balance = blockchain.getBalanceOfAddress(alice.address);
+
+  assert.throws(
+    () => blockchain.addTransaction(alice.createTransaction(bob.address, balance + 1, 0)),
+    { code: 'INSUFFICIENT_FUNDS' }
+  );
+  // 手续费也计入支出
+  assert.throws(
+    () => blockchain.addTransaction(alice.createTransaction(bob.address, balance, 0, 1)),
+    { code: 'INSUFFICIENT_FUNDS' }
+  );
+  assert.equal(blockchain.pendingTransactions.length, 0);
+});
+
+test('交易池中未确认的支出从可用余额中扣除', () => {
+  const alice = new Wallet();
+  const bob = new Wallet();
+  const blockchain = new Blockchain();
+  blockchain.minePendingTransactions(alice.address);
+  const balance = blockchain.getBalanceOfAddress(alice.address);
+
+  blockchain.addTransaction(alice.createTransaction(bob.address, balance - 10, 0));
+  assert.equal(blockchain.getAvailableBalance(alice.address), 10);
+  assert.throws(
+    () => blockchain.addTransaction(alice.createTransaction(bob.address, 11, 1)),
+    { code: 'INSUFFICIENT_FUNDS' }
+  );
+
+  blockchain.addTransaction(alice.createTransaction(bob.address, 10, 1));
+  assert.equal(blockchain.getAvailableBalance(alice.address), 0);
+});
+
+test('拒绝包含超额支出的区块', () => {
+  const alice = new Wallet();
+  const bob = new Wallet();
+  const blockchain = new Blockchain();
+  blockchain.minePendingTransactions(alice.address);
+  const balance = blockchain.getBalanceOfAddress(alice.address);
+
+  const first = alice.createTransaction(bob.address, balance, 0);
+  const second = alice.createTransaction(bob.address, 1, 1);
+  const block = mineBlockWith(blockchain, [first, second], bob.address);
+
+  assert.throws(() => blockchain.addBlock(block), { code: 'INVALID_BLOCK' });
+  assert.equal(blockchain.chain.length, 2);
+  assert.equal(blockchain.getBalanceOfAddress(alice.address), balance);
+});
@@ -0,0 +1,70 @@
+// 持久化存储: blocks.dat 末尾不完整或校验失败的记录在启动时被截断
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const ChainStorage = require('../storage');
+const Wallet = require('../wallet');
+
+config.DIFFICULTY = 1;
+
+// 在临时目录中创建包含 blockCount 个新区块的存储
+function createStorage(t, blockCount) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chain-storage-'));
+  // 交易池在下一轮事件循环中写入磁盘，等它完成后再删除目录
+  t.after(async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const storage = new ChainStorage(dataDir);
+  const blockchain = storage.loadBlockchain();
+  storage.attach(blockchain);
+  const miner = new Wallet();
+  for (let i = 0; i < blockCount; i++) {
+    blockchain.minePendingTransactions(miner.address);
+  }
+  return { dataDir, storage, blockchain, miner };
+}
+
+test('重启后加载同一条链', t => {
+  const { dataDir, blockchain } = createStorage(t, 3);
+
+  const reloaded = new ChainStorage(dataDir).loadBlockchain();
+  assert.deepEqual(reloaded.chain.map(block => block.hash), blockchain.chain.map(block => block.hash));
+});
+
+test('截断末尾写了一半的区块记录', t => {
+  const { dataDir, storage, blockchain, miner } = createStorage(t, 3);
+  const blocksFile = path.join(dataDir, 'blocks.dat');
+  const last = storage.index[storage.index.length - 1];
+  fs.truncateSync(blocksFile, last.offset + last.length - 5);
+
+  const recovered = new ChainStorage(dataDir);
+  const reloaded = recovered.loadBlockchain();
+  assert.equal(reloaded.chain.length, blockchain.chain.length - 1);
+  assert.equal(reloaded.getLatestBlock().hash, blockchain.chain[blockchain.chain.length - 2].hash);
+  assert.equal(fs.statSync(blocksFile).size, last.offset);
+  assert.equal(fs.readFileSync(path.join(dataDir, 'blocks.idx'), 'utf8').trim().split('\n').length, reloaded.chain.length);
+
+  // 截断后可以继续追加区块
+  recovered.attach(reloaded);
+  reloaded.minePendingTransactions(miner.address);
+  assert.equal(new ChainStorage(dataDir).loadBlockchain().chain.length, blockchain.chain.length);
+});
+
+test('截断校验和错误的区块记录及其后的数据', t => {
+  const { dataDir, storage, blockchain } = createStorage(t, 3);
+  const blocksFile = path.join(dataDir, 'blocks.dat');
+  const corrupted = storage.index[2];
+  const buffer = fs.readFileSync(blocksFile);
+  buffer[corrupted.offset + corrupted.length - 2] ^= 0xff;
+  fs.writeFileSync(blocksFile, buffer);
+
+  const reloaded = new ChainStorage(dataDir).loadBlockchain();
+  assert.equal(reloaded.chain.length, 2);
+  assert.equal(reloaded.getLatestBlock().hash, blockchain.chain[1].hash);
+  assert.equal(fs.statSync(blocksFile).size, corrupted.offset);
+});
@@ -1,28 +1,30 @@
 // wallet-workers.js - 区块链钱包实现 (Cloudflare Workers兼容版本)
+// 使用secp256k1密钥和ECDSA签名，地址格式与Node版本的 wallet.js 一致
+import { ec as EC } from 'elliptic';
+import { publicKeyToAddress } from './address-workers.js';
+import { Transaction } from './blockchain-workers.js';
+
+const ec = new EC('secp256k1');
 
 // 在Cloudflare Workers中生成随机密钥
 async function generateKeyPair() {
-  // 使用Web Crypto API生成随机字节
-  const privateBytes = new Uint8Array(32); // 256位私钥
-  crypto.getRandomValues(privateBytes);
-  
-  // 将随机字节转换为十六进制字符串作为私钥
-  const privateKey = Array.from(privateBytes)
-    .map(b => b.toString(16).padStart(2, '0'))
-    .join('');
-  
-  // 使用私钥的哈希作为公钥（简化版本）
-  // 在实际应用中，应该使用椭圆曲线加密来正确派生公钥
-  const publicKeyBytes = await crypto.subtle.digest(
-    'SHA-256',
-    new TextEncoder().encode(privateKey)
-  );
-  
-  const publicKey = Array.from(new Uint8Array(publicKeyBytes))
-    .map(b => b.toString(16).padStart(2, '0'))
-    .join('');
-  
-  return { privateKey, publicKey };
+  for (;;) {
+    // 使用Web Crypto API生成随机字节
+    const privateBytes = new Uint8Array(32); // 256位私钥
+    crypto.getRandomValues(privateBytes);
+
+    // 将随机字节转换为十六进制字符串作为私钥
+    const privateKey = Array.from(privateBytes)
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+
+    // 私钥必须在 [1, n-1] 范围内 (随机值落在范围外的概率约为 2^-128)
+    const keyPair = ec.keyFromPrivate(privateKey, 'hex');
+    if (keyPair.validate().result) {
+      const publicKey = keyPair.getPublic(true, 'hex');
+      return { privateKey, publicKey, address: publicKeyToAddress(publicKey) };
+    }
+  }
 }
 
 class Wallet {
@@ -30,65 +32,67 @@ class Wallet {
     if (keyPair) {
       this.privateKey = keyPair.privateKey;
       this.publicKey = keyPair.publicKey;
+      this.address = keyPair.address;
     } else {
       this.privateKey = null;
       this.publicKey = null;
+      this.address = null;
       // 实际初始化会在async初始化方法中完成
     }
   }
-  
+
   // 异步初始化钱包
   static async create(privateKey = null) {
     const wallet = new Wallet();
-    
+
     if (privateKey) {
-      // 从给定的私钥派生公钥（简化版本）
-      const publicKeyBytes = await crypto.subtle.digest(
-        'SHA-256',
-        new TextEncoder().encode(privateKey)
-      );
-      
+      // 从给定的私钥派生压缩公钥
       wallet.privateKey = privateKey;
-      wallet.publicKey = Array.from(new Uint8Array(publicKeyBytes))
-        .map(b => b.toString(16).padStart(2, '0'))
-        .join('');
+      wallet.publicKey = ec.keyFromPrivate(privateKey, 'hex').getPublic(true, 'hex');
+      wallet.address = publicKeyToAddress(wallet.publicKey);
     } else {
       // 生成新的密钥对
       const keyPair = await generateKeyPair();
       wallet.privateKey = keyPair.privateKey;
       wallet.publicKey = keyPair.publicKey;
+      wallet.address = keyPair.address;
     }
-    
+
     return wallet;
   }
 
-  // 获取钱包地址（即公钥）
+  // 获取钱包地址（压缩公钥的哈希，Base58Check编码）
   getAddress() {
-    return this.publicKey;
+    return this.address;
   }
 
-  // 简化的签名函数
-  async sign(data) {
-    // 在实际应用中，这里应该使用私钥进行真正的数字签名
-    // 简化版本中，我们只是返回一个派生的字符串
-    const dataHash = await crypto.subtle.digest(
-      'SHA-256',
-      new TextEncoder().encode(data + this.privateKey)
-    );
-    
-    return Array.from(new Uint8Array(dataHash))
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('');
+  // 对数据哈希 (十六进制) 进行ECDSA签名，返回DER编码的十六进制签名
+  async sign(dataHash) {
+    return ec.keyFromPrivate(this.privateKey, 'hex').sign(dataHash).toDER('hex');
   }
-  
+
+  // 验证签名
+  static verifySignature(publicKey, dataHash, signature) {
+    return ec.keyFromPublic(publicKey, 'hex').verify(dataHash, signature);
+  }
+
+  // 在客户端创建并签名交易，只需把交易 (JSON) 提交给 POST /transaction
+  // lockTime 非零时交易在该区块高度或时间戳之后才会被打包，参数与Node版本的 Wallet.createTransaction 相同
+  async createTransaction(toAddress, amount, nonce, fee = 0, lockTime = 0) {
+    const transaction = new Transaction(this.address, toAddress, amount, nonce, fee, lockTime);
+    await transaction.signTransaction(this.privateKey);
+    return transaction;
+  }
+
   // 序列化钱包数据
   serialize() {
     return JSON.stringify({
+      address: this.address,
       privateKey: this.privateKey,
       publicKey: this.publicKey
     });
   }
-  
+
   // 从序列化数据还原钱包
   static async deserialize(data) {
     try {
@@ -99,11 +103,11 @@ class Wallet {
       return await Wallet.create();
     }
   }
-  
+
   // 创建随机钱包的静态方法
   static async createRandom() {
     return await Wallet.create();
   }
 }
 
-export { Wallet, generateKeyPair };
\ No newline at end of file
+export { Wallet, generateKeyPair };
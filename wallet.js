@@ -4,17 +4,26 @@ const ec = new EC('secp256k1');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { publicKeyToAddress, normalizeMultisigKeys, multisigToAddress, isValidAddress } = require('./address');
+const { KEYSTORE_VERSION, encryptSecret, decryptSecret, isEncrypted } = require('./keystore');
+const HDWallet = require('./hd-wallet');
+const { Transaction } = require('./blockchain');
+const config = require('./config');
+
+// 签名消息的前缀，保证消息哈希与交易哈希不会重合
+const MESSAGE_PREFIX = 'Blockchain Signed Message:\n';
 
 class Wallet {
   constructor(privateKey = null) {
     this.keyPair = privateKey ? ec.keyFromPrivate(privateKey) : ec.genKeyPair();
     this.privateKey = this.keyPair.getPrivate('hex');
-    this.publicKey = this.keyPair.getPublic('hex');
+    this.publicKey = this.keyPair.getPublic(true, 'hex');
+    this.address = publicKeyToAddress(this.publicKey);
   }
 
-  // 获取钱包地址（公钥的哈希）
+  // 获取钱包地址（压缩公钥的哈希，Base58Check编码）
   getAddress() {
-    return this.publicKey;
+    return this.address;
   }
 
   // 创建交易签名
@@ -24,41 +33,147 @@ class Wallet {
     return signature.toDER('hex');
   }
 
+  // 在客户端创建并签名交易，只需把返回的交易 (JSON) 提交给节点的 POST /transaction
+  // lockTime 非零时交易在该区块高度或时间戳之后才会被打包
+  createTransaction(toAddress, amount, nonce, fee = 0, lockTime = 0) {
+    const transaction = new Transaction(this.address, toAddress, amount, nonce, fee, lockTime);
+    transaction.signTransaction(this.keyPair);
+    return transaction;
+  }
+
+  // 为多签交易添加本钱包的签名，返回同一个交易以便交给下一个签名方
+  signMultisigTransaction(transaction) {
+    transaction.signTransaction(this.keyPair);
+    return transaction;
+  }
+
   // 验证签名
   static verifySignature(publicKey, dataHash, signature) {
     return ec.keyFromPublic(publicKey, 'hex').verify(dataHash, signature);
   }
 
-  // 保存钱包到文件
-  saveToFile(filename) {
-    const walletData = {
-      privateKey: this.privateKey,
-      publicKey: this.publicKey
+  // 带前缀的消息哈希: 前缀 + 消息字节长度 + 消息，再做两次SHA-256
+  // 交易哈希是对交易字段的单次SHA-256，因此消息签名不能被当作交易签名重放
+  static hashMessage(message) {
+    const prefixed = `${MESSAGE_PREFIX}${Buffer.byteLength(message, 'utf8')}\n${message}`;
+    const firstHash = crypto.createHash('sha256').update(prefixed, 'utf8').digest();
+    return crypto.createHash('sha256').update(firstHash).digest('hex');
+  }
+
+  // 签名一条可读消息，用于证明地址的所有权 (登录、储备证明等)
+  signMessage(message) {
+    if (typeof message !== 'string') {
+      throw new Error('Message must be a string');
+    }
+
+    return {
+      address: this.address,
+      message,
+      publicKey: this.publicKey,
+      signature: this.sign(Wallet.hashMessage(message))
     };
+  }
 
-    const walletDir = path.join(process.cwd(), 'wallets');
-    
-    // 确保钱包目录存在
-    if (!fs.existsSync(walletDir)) {
-      fs.mkdirSync(walletDir, { recursive: true });
+  // 验证消息签名: 公钥必须对应地址，签名必须与带前缀的消息哈希匹配
+  static verifyMessage(address, message, signature, publicKey) {
+    if (typeof message !== 'string' || !isValidAddress(address)) {
+      return false;
     }
-    
-    const filePath = path.join(walletDir, filename);
-    fs.writeFileSync(filePath, JSON.stringify(walletData, null, 2));
-    
-    return filePath;
+
+    try {
+      return publicKeyToAddress(publicKey) === address &&
+        Wallet.verifySignature(publicKey, Wallet.hashMessage(message), signature);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // 导出为加密的keystore格式 (私钥只以密文形式保存)
+  toKeystore(passphrase) {
+    return {
+      version: KEYSTORE_VERSION,
+      address: this.address,
+      publicKey: this.publicKey,
+      crypto: encryptSecret(this.privateKey, passphrase, this.address)
+    };
   }
 
-  // 从文件加载钱包
-  static loadFromFile(filename) {
-    const filePath = path.join(process.cwd(), 'wallets', filename);
-    
+  // 从keystore数据和口令恢复钱包
+  static fromKeystore(walletData, passphrase) {
+    const privateKey = decryptSecret(walletData.crypto, passphrase, walletData.address);
+    const wallet = new Wallet(privateKey);
+
+    if (wallet.address !== walletData.address) {
+      throw new Error('Keystore address does not match the decrypted private key');
+    }
+    return wallet;
+  }
+
+  // 加密后保存钱包到文件
+  saveToFile(filename, passphrase) {
+    return Wallet.writeWalletFile(filename, this.toKeystore(passphrase));
+  }
+
+  // 从文件加载钱包，需要提供口令；未加密的旧钱包需要先迁移
+  // HD钱包文件返回第 account 个已派生地址对应的钱包
+  static loadFromFile(filename, passphrase, account = 0) {
+    const walletData = Wallet.readWalletFile(filename);
+
+    if (!isEncrypted(walletData)) {
+      throw new Error(`Wallet file is not encrypted: ${filename} (run "node wallet.js encrypt ${filename}" to migrate it)`);
+    }
+
+    if (HDWallet.isHDWalletData(walletData)) {
+      const hdWallet = HDWallet.fromKeystore(walletData, passphrase);
+      if (!Number.isInteger(account) || account < 0 || account >= hdWallet.accounts.length) {
+        throw new Error(`Account ${account} has not been derived in ${filename}`);
+      }
+      return new Wallet(hdWallet.derivePrivateKey(account));
+    }
+
+    return Wallet.fromKeystore(walletData, passphrase);
+  }
+
+  // 加载HD钱包 (用于派生新地址)
+  static loadHDWallet(filename, passphrase) {
+    const walletData = Wallet.readWalletFile(filename);
+
+    if (!HDWallet.isHDWalletData(walletData)) {
+      throw new Error(`Not an HD wallet: ${filename}`);
+    }
+    return HDWallet.fromKeystore(walletData, passphrase);
+  }
+
+  static getWalletPath(filename) {
+    return path.join(process.cwd(), 'wallets', filename);
+  }
+
+  // 读取钱包文件的原始内容 (加密或未加密)
+  static readWalletFile(filename) {
+    const filePath = Wallet.getWalletPath(filename);
+
     if (!fs.existsSync(filePath)) {
       throw new Error(`Wallet file not found: ${filename}`);
     }
-    
-    const walletData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    return new Wallet(walletData.privateKey);
+
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  // 写入钱包文件 (先写临时文件再重命名，避免写入中断导致钱包损坏)，仅当前用户可读写
+  static writeWalletFile(filename, walletData) {
+    const walletDir = path.join(process.cwd(), 'wallets');
+
+    // 确保钱包目录存在
+    if (!fs.existsSync(walletDir)) {
+      fs.mkdirSync(walletDir, { recursive: true });
+    }
+
+    const filePath = Wallet.getWalletPath(filename);
+    const tempFile = `${filePath}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(walletData, null, 2), { mode: 0o600 });
+    fs.renameSync(tempFile, filePath);
+
+    return filePath;
   }
   
   // 创建新钱包
@@ -67,47 +182,533 @@ class Wallet {
   }
 }
 
+// 读取口令: 优先使用环境变量，否则在终端提示输入 (输入内容不回显)
+function promptPassphrase(question, envName = 'WALLET_PASSPHRASE') {
+  if (process.env[envName]) {
+    return Promise.resolve(process.env[envName]);
+  }
+
+  const readline = require('readline');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+    // 屏蔽输入回显，只显示提示语
+    rl._writeToOutput = text => {
+      if (text.includes(question)) {
+        rl.output.write(question);
+      }
+    };
+  });
+}
+
+// 读取新口令并要求输入两次确认
+async function promptNewPassphrase(envName = 'WALLET_PASSPHRASE') {
+  const passphrase = await promptPassphrase('设置钱包口令: ', envName);
+  if (!passphrase) {
+    throw new Error('Passphrase must not be empty');
+  }
+
+  if (!process.env[envName]) {
+    const confirmation = await promptPassphrase('再次输入口令: ', envName);
+    if (confirmation !== passphrase) {
+      throw new Error('Passphrases do not match');
+    }
+  }
+
+  return passphrase;
+}
+
+// 读取 --name value 形式的命令行选项
+function getOption(args, name, defaultValue) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 && index + 1 < args.length ? args[index + 1] : defaultValue;
+}
+
+// 调用节点的HTTP API，节点返回错误时抛出带错误码的异常
+async function nodeRequest(nodeUrl, apiPath, body) {
+  const response = await fetch(`${nodeUrl.replace(/\/$/, '')}${apiPath}`, body === undefined ? {} : {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    const error = new Error(data.error || `HTTP ${response.status}`);
+    error.code = data.code;
+    throw error;
+  }
+  return data;
+}
+
+// 命令参数可以是钱包文件名或地址，查询类命令不需要口令
+function resolveAddress(target, account) {
+  if (target && fs.existsSync(Wallet.getWalletPath(target))) {
+    const walletData = Wallet.readWalletFile(target);
+
+    if (HDWallet.isHDWalletData(walletData)) {
+      if (!walletData.accounts[account]) {
+        throw new Error(`Account ${account} has not been derived in ${target}`);
+      }
+      return walletData.accounts[account].address;
+    }
+    return isEncrypted(walletData) ? walletData.address : new Wallet(walletData.privateKey).getAddress();
+  }
+
+  if (isValidAddress(target)) {
+    return target;
+  }
+  throw new Error(`Unknown wallet or invalid address: ${target}`);
+}
+
+// 读取 --lock-time 参数: 区块高度、毫秒时间戳或ISO日期 (例如 2027-01-01T00:00:00Z)
+function parseLockTime(value) {
+  if (value === undefined) {
+    return 0;
+  }
+
+  const lockTime = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (!Number.isSafeInteger(lockTime) || lockTime < 0) {
+    throw new Error(`Invalid lock time: ${value}`);
+  }
+  return lockTime;
+}
+
+// 命令行用法
+function printUsage() {
+  console.log('用法:');
+  console.log('  node wallet.js new [钱包名称]                      - 创建新的加密钱包');
+  console.log('  node wallet.js hd-new [钱包名称]                   - 创建HD钱包 (生成助记词)');
+  console.log('  node wallet.js hd-restore <钱包名称> [地址数量]    - 从助记词恢复HD钱包');
+  console.log('  node wallet.js derive <钱包名称>                   - 为HD钱包派生下一个地址');
+  console.log('  node wallet.js list                                - 列出所有钱包');
+  console.log('  node wallet.js info <钱包名称> [--show-private-key] [--show-mnemonic] - 显示钱包信息');
+  console.log('  node wallet.js encrypt <钱包名称>                  - 加密未加密的旧钱包');
+  console.log('  node wallet.js decrypt <钱包名称>                  - 解密钱包 (私钥将以明文保存)');
+  console.log('  node wallet.js change-password <钱包名称>          - 修改钱包口令');
+  console.log('  node wallet.js sign-message <钱包名称> <消息>      - 签名消息以证明地址所有权');
+  console.log('  node wallet.js verify-message <地址> <消息> <签名> <公钥> - 验证消息签名');
+  console.log('  node wallet.js balance <钱包名称|地址>             - 查询余额');
+  console.log('  node wallet.js send <钱包名称> <收款地址> <金额> [--fee 手续费] [--nonce nonce] [--lock-time 高度|时间] - 本地签名并发送交易');
+  console.log('  node wallet.js history <钱包名称|地址>             - 查询交易记录');
+  console.log('  node wallet.js watch <钱包名称|地址> [--interval 秒] - 监视余额和新交易');
+  console.log('  node wallet.js multisig-address <M> <公钥1,公钥2,...> - 计算 M-of-N 多签地址');
+  console.log('  node wallet.js multisig-create <M> <公钥1,公钥2,...> <收款地址> <金额> [--fee 手续费] [--nonce nonce] [--lock-time 高度|时间] [--out 文件] - 创建未签名的多签交易');
+  console.log('  node wallet.js multisig-sign <钱包名称> <交易文件>  - 为多签交易添加签名');
+  console.log('  node wallet.js multisig-send <交易文件>            - 提交已有足够签名的多签交易');
+  console.log('');
+  console.log('与节点交互的命令支持 --node <URL> (默认为环境变量 NODE_URL 或本地节点)、');
+  console.log('--account <序号> (HD钱包的地址序号) 和 --json (输出JSON)');
+  console.log('口令也可以通过环境变量 WALLET_PASSPHRASE (修改口令时新口令为 WALLET_NEW_PASSPHRASE) 提供，');
+  console.log('恢复HD钱包时助记词可以通过 WALLET_MNEMONIC 提供');
+}
+
+// 读取多签命令的公钥列表参数 (逗号分隔)
+function parsePublicKeys(list) {
+  return list.split(',').map(key => key.trim()).filter(key => key.length > 0);
+}
+
+// 读取多签命令的 M 和公钥列表并在使用前检查: 1 <= M <= N <= MAX_MULTISIG_KEYS，公钥有效且不重复
+function parseMultisigArgs(mArg, keysArg) {
+  const m = /^\d+$/.test(mArg) ? Number(mArg) : NaN;
+  const publicKeys = parsePublicKeys(keysArg);
+  if (!Number.isInteger(m) || m < 1 || m > publicKeys.length || publicKeys.length > config.MAX_MULTISIG_KEYS) {
+    throw new Error(`Multisig requires 1 <= M <= N <= ${config.MAX_MULTISIG_KEYS}, got ${mArg}-of-${publicKeys.length}`);
+  }
+
+  let keys;
+  try {
+    keys = normalizeMultisigKeys(publicKeys);
+  } catch (error) {
+    throw new Error(`Invalid public key in multisig key list: ${error.message}`);
+  }
+  if (new Set(keys).size !== keys.length) {
+    throw new Error('Multisig key list contains duplicate public keys');
+  }
+  return { m, publicKeys: keys };
+}
+
+// 部分签名的多签交易以JSON文件在签名方之间传递
+function readTransactionFile(filePath) {
+  return Transaction.fromJSON(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+function writeTransactionFile(filePath, transaction) {
+  fs.writeFileSync(filePath, JSON.stringify(transaction, null, 2));
+}
+
+// 多签交易的签名进度
+function describeMultisigProgress(transaction) {
+  return `已签名 ${transaction.signatures.length}/${transaction.multisig.m} (共 ${transaction.multisig.publicKeys.length} 个签名方)`;
+}
+
+// 交易记录的单行描述
+function describeHistoryEntry(entry, address) {
+  const tx = entry.transaction;
+  const status = entry.status === 'confirmed'
+    ? `区块 ${entry.blockHeight}, ${entry.confirmations} 个确认`
+    : '待确认';
+
+  if (tx.fromAddress === null) {
+    return `[${status}] 挖矿奖励 +${tx.amount} (${entry.txHash})`;
+  }
+  if (tx.fromAddress === address) {
+    return `[${status}] 转出 -${tx.amount} (手续费 ${tx.fee}) 到 ${tx.toAddress} (${entry.txHash})`;
+  }
+  return `[${status}] 转入 +${tx.amount} 来自 ${tx.fromAddress} (${entry.txHash})`;
+}
+
 // 简单的命令行钱包工具
-if (require.main === module) {
+async function main() {
   const args = process.argv.slice(2);
   const command = args[0];
+
+  // 与节点交互的命令: 节点地址来自 --node 或环境变量 NODE_URL，--json 输出JSON便于脚本处理
+  const nodeUrl = getOption(args, 'node', process.env.NODE_URL || `http://localhost:${config.HTTP_PORT}`);
+  const account = parseInt(getOption(args, 'account', '0'), 10);
+  const json = args.includes('--json');
   
   if (command === 'new') {
     const walletName = args[1] || `wallet-${Date.now()}.json`;
     const wallet = Wallet.createRandom();
-    const filePath = wallet.saveToFile(walletName);
-    console.log(`新钱包已创建并保存到: ${filePath}`);
+    const filePath = wallet.saveToFile(walletName, await promptNewPassphrase());
+    console.log(`新钱包已加密并保存到: ${filePath}`);
+    console.log(`地址: ${wallet.getAddress()}`);
     console.log(`公钥: ${wallet.publicKey}`);
-    console.log(`私钥: ${wallet.privateKey}`);
+  }
+  else if (command === 'hd-new') {
+    const walletName = args[1] || `hd-wallet-${Date.now()}.json`;
+    const hdWallet = HDWallet.generate();
+    const filePath = Wallet.writeWalletFile(walletName, hdWallet.toKeystore(await promptNewPassphrase()));
+    console.log(`新HD钱包已加密并保存到: ${filePath}`);
+    console.log(`助记词: ${hdWallet.mnemonic}`);
+    console.log('请抄写并妥善保管助记词，它可以恢复该钱包的所有地址');
+    console.log(`地址: ${hdWallet.accounts[0].address} (${hdWallet.accounts[0].path})`);
+  }
+  else if (command === 'hd-restore' && args[1]) {
+    // 助记词也可以通过环境变量 WALLET_MNEMONIC 提供
+    const count = args[2] ? parseInt(args[2], 10) : 1;
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('Account count must be a positive integer');
+    }
+
+    const mnemonic = await promptPassphrase('助记词: ', 'WALLET_MNEMONIC');
+    const hdWallet = HDWallet.fromMnemonic(mnemonic, count);
+    const filePath = Wallet.writeWalletFile(args[1], hdWallet.toKeystore(await promptNewPassphrase()));
+    console.log(`HD钱包已恢复并保存到: ${filePath}`);
+    hdWallet.accounts.forEach(account => console.log(`地址: ${account.address} (${account.path})`));
+  }
+  else if (command === 'derive' && args[1]) {
+    // 派生下一个地址，需要口令解密助记词
+    const passphrase = await promptPassphrase('钱包口令: ');
+    const hdWallet = Wallet.loadHDWallet(args[1], passphrase);
+    const account = hdWallet.deriveNextAccount();
+    Wallet.writeWalletFile(args[1], hdWallet.toKeystore(passphrase));
+    console.log(`新地址: ${account.address} (${account.path})`);
   }
   else if (command === 'list') {
     const walletDir = path.join(process.cwd(), 'wallets');
     if (fs.existsSync(walletDir)) {
-      const wallets = fs.readdirSync(walletDir);
+      const wallets = fs.readdirSync(walletDir).filter(name => !name.endsWith('.tmp'));
       console.log('可用钱包:');
       wallets.forEach(wallet => {
-        console.log(`- ${wallet}`);
+        const walletData = Wallet.readWalletFile(wallet);
+        if (HDWallet.isHDWalletData(walletData)) {
+          console.log(`- ${wallet} (HD, ${walletData.accounts.length} 个地址)`);
+        } else {
+          console.log(`- ${wallet}${isEncrypted(walletData) ? '' : ' (未加密)'}`);
+        }
       });
     } else {
       console.log('尚未创建钱包');
     }
   }
+  else if (command === 'info' && args[1] && HDWallet.isHDWalletData(Wallet.readWalletFile(args[1]))) {
+    // HD钱包: 列出所有已派生的地址，--show-mnemonic 显示助记词，--show-private-key 显示每个地址的私钥
+    const walletData = Wallet.readWalletFile(args[1]);
+    const showMnemonic = args.includes('--show-mnemonic');
+    const showPrivateKeys = args.includes('--show-private-key');
+    const hdWallet = showMnemonic || showPrivateKeys
+      ? HDWallet.fromKeystore(walletData, await promptPassphrase('钱包口令: '))
+      : null;
+
+    console.log(`HD钱包信息: ${args[1]}`);
+    if (showMnemonic) {
+      console.log(`助记词: ${hdWallet.mnemonic}`);
+    }
+    walletData.accounts.forEach(account => {
+      console.log(`[${account.index}] 地址: ${account.address} (${account.path})`);
+      console.log(`    公钥: ${account.publicKey}`);
+      if (showPrivateKeys) {
+        console.log(`    私钥: ${hdWallet.derivePrivateKey(account.index)}`);
+      }
+    });
+  }
   else if (command === 'info' && args[1]) {
-    try {
-      const wallet = Wallet.loadFromFile(args[1]);
-      console.log(`钱包信息: ${args[1]}`);
-      console.log(`公钥: ${wallet.publicKey}`);
-      console.log(`私钥: ${wallet.privateKey}`);
-    } catch (error) {
-      console.error(`错误: ${error.message}`);
+    // 默认不显示私钥，加 --show-private-key 时需要口令
+    const walletData = Wallet.readWalletFile(args[1]);
+    const encrypted = isEncrypted(walletData);
+    const wallet = encrypted ? null : new Wallet(walletData.privateKey);
+
+    console.log(`钱包信息: ${args[1]}`);
+    console.log(`地址: ${wallet ? wallet.getAddress() : walletData.address}`);
+    console.log(`公钥: ${wallet ? wallet.publicKey : walletData.publicKey}`);
+    console.log(`加密: ${encrypted ? '是' : '否 (可使用 encrypt 命令加密)'}`);
+
+    if (args.includes('--show-private-key')) {
+      const unlocked = wallet || Wallet.fromKeystore(walletData, await promptPassphrase('钱包口令: '));
+      console.log(`私钥: ${unlocked.privateKey}`);
+    }
+  }
+  else if (command === 'encrypt' && args[1]) {
+    // 迁移未加密的旧钱包文件
+    const walletData = Wallet.readWalletFile(args[1]);
+    if (isEncrypted(walletData)) {
+      throw new Error(`Wallet file is already encrypted: ${args[1]}`);
+    }
+
+    const wallet = new Wallet(walletData.privateKey);
+    const filePath = wallet.saveToFile(args[1], await promptNewPassphrase());
+    console.log(`钱包已加密: ${filePath}`);
+  }
+  else if (command === 'decrypt' && args[1]) {
+    const walletData = Wallet.readWalletFile(args[1]);
+    if (!isEncrypted(walletData)) {
+      throw new Error(`Wallet file is not encrypted: ${args[1]}`);
+    }
+    if (HDWallet.isHDWalletData(walletData)) {
+      throw new Error('HD wallets can only be stored encrypted');
+    }
+
+    const wallet = Wallet.fromKeystore(walletData, await promptPassphrase('钱包口令: '));
+    const filePath = Wallet.writeWalletFile(args[1], {
+      address: wallet.address,
+      privateKey: wallet.privateKey,
+      publicKey: wallet.publicKey
+    });
+    console.log(`钱包已解密: ${filePath}`);
+    console.log('警告: 私钥现在以明文形式保存，请尽快重新加密');
+  }
+  else if (command === 'balance' && args[1]) {
+    const address = resolveAddress(args[1], account);
+    const [balance, nonce] = await Promise.all([
+      nodeRequest(nodeUrl, `/balance/${address}`),
+      nodeRequest(nodeUrl, `/nonce/${address}`)
+    ]);
+    const result = { address, balance: balance.balance, nonce: nonce.nonce };
+
+    if (json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      console.log(`地址: ${address}`);
+      console.log(`余额: ${result.balance}`);
+      console.log(`下一个nonce: ${result.nonce}`);
+    }
+  }
+  else if (command === 'send' && args[1] && args[2] && args[3]) {
+    // 在本地签名后只把签名后的交易提交给节点，私钥不离开本进程
+    const [, walletName, toAddress, amountArg] = args;
+    const amount = Number(amountArg);
+    const fee = Number(getOption(args, 'fee', '0'));
+
+    if (!isValidAddress(toAddress)) {
+      throw new Error(`Invalid recipient address: ${toAddress}`);
+    }
+    if (!Transaction.isValidAmount(amount) || !Transaction.isValidFee(fee)) {
+      throw new Error('Amount must be a positive number and fee a non-negative number');
+    }
+
+    const wallet = Wallet.loadFromFile(walletName, await promptPassphrase('钱包口令: '), account);
+    const nonceOption = getOption(args, 'nonce');
+    const nonce = nonceOption !== undefined
+      ? parseInt(nonceOption, 10)
+      : (await nodeRequest(nodeUrl, `/nonce/${wallet.getAddress()}`)).nonce;
+
+    const tx = wallet.createTransaction(toAddress, amount, nonce, fee, parseLockTime(getOption(args, 'lock-time')));
+    const result = await nodeRequest(nodeUrl, '/transaction', tx);
+
+    if (json) {
+      console.log(JSON.stringify({ txHash: result.transactionHash, transaction: result.transaction }, null, 2));
+    } else {
+      console.log(`交易已提交: ${result.transactionHash}`);
+      console.log(`${tx.fromAddress} -> ${tx.toAddress}, 金额 ${tx.amount}, 手续费 ${tx.fee}, nonce ${tx.nonce}`);
+      if (tx.lockTime) {
+        console.log(`时间锁: ${tx.isLockedByHeight() ? `区块高度 ${tx.lockTime}` : new Date(tx.lockTime).toISOString()} 之后才会被打包`);
+      }
     }
   }
+  else if (command === 'history' && args[1]) {
+    const address = resolveAddress(args[1], account);
+    const history = await nodeRequest(nodeUrl, `/history/${address}`);
+
+    if (json) {
+      console.log(JSON.stringify(history, null, 2));
+    } else {
+      console.log(`地址: ${address} (${history.transactions.length} 笔交易)`);
+      history.transactions.forEach(entry => console.log(describeHistoryEntry(entry, address)));
+    }
+  }
+  else if (command === 'watch' && args[1]) {
+    // 定期轮询节点，输出余额变化和新交易 (--json 时每个事件输出一行JSON)，Ctrl+C 退出
+    const address = resolveAddress(args[1], account);
+    const intervalArg = getOption(args, 'interval', '5');
+    if (!/^\d+$/.test(intervalArg) || Number(intervalArg) < 1) {
+      printUsage();
+      throw new Error(`Invalid --interval: ${intervalArg} (expected a positive integer number of seconds)`);
+    }
+    const interval = Number(intervalArg) * 1000;
+    const seen = new Set();
+    let lastBalance = null;
+
+    if (!json) {
+      console.log(`正在监视地址 ${address} (节点 ${nodeUrl})，按 Ctrl+C 退出`);
+    }
+
+    for (;;) {
+      try {
+        const [balance, history] = await Promise.all([
+          nodeRequest(nodeUrl, `/balance/${address}`),
+          nodeRequest(nodeUrl, `/history/${address}`)
+        ]);
+
+        for (const entry of history.transactions) {
+          // 同一笔交易从待确认变为已确认时再输出一次
+          const key = `${entry.txHash}:${entry.status}`;
+          if (!seen.has(key)) {
+            seen.add(key);
+            console.log(json ? JSON.stringify({ event: 'transaction', address, ...entry }) : describeHistoryEntry(entry, address));
+          }
+        }
+
+        if (balance.balance !== lastBalance) {
+          lastBalance = balance.balance;
+          console.log(json ? JSON.stringify({ event: 'balance', address, balance: lastBalance }) : `余额: ${lastBalance}`);
+        }
+      } catch (error) {
+        console.error(json ? JSON.stringify({ event: 'error', error: error.message }) : `无法连接节点: ${error.message}`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+  else if (command === 'sign-message' && args[1] && args[2] !== undefined) {
+    // 输出的JSON可以直接提交给节点的 POST /message/verify
+    const wallet = Wallet.loadFromFile(args[1], await promptPassphrase('钱包口令: '), account);
+    const signed = wallet.signMessage(args[2]);
+
+    if (json) {
+      console.log(JSON.stringify(signed, null, 2));
+    } else {
+      console.log(`地址: ${signed.address}`);
+      console.log(`消息: ${signed.message}`);
+      console.log(`公钥: ${signed.publicKey}`);
+      console.log(`签名: ${signed.signature}`);
+    }
+  }
+  else if (command === 'verify-message' && args[4]) {
+    const [, address, message, signature, publicKey] = args;
+    const valid = Wallet.verifyMessage(address, message, signature, publicKey);
+
+    if (json) {
+      console.log(JSON.stringify({ address, message, valid }, null, 2));
+    } else {
+      console.log(valid ? '签名有效' : '签名无效');
+    }
+    if (!valid) {
+      process.exitCode = 1;
+    }
+  }
+  else if (command === 'multisig-address' && args[1] && args[2]) {
+    // 地址只取决于 M 和公钥集合，与公钥的顺序无关
+    const { m, publicKeys } = parseMultisigArgs(args[1], args[2]);
+    const address = multisigToAddress(m, publicKeys);
+    if (json) {
+      console.log(JSON.stringify({ address, m, n: publicKeys.length }, null, 2));
+    } else {
+      console.log(`${m}-of-${publicKeys.length} 多签地址: ${address}`);
+    }
+  }
+  else if (command === 'multisig-create' && args[1] && args[2] && args[3] && args[4]) {
+    // 创建未签名的多签交易文件，之后由各签名方依次运行 multisig-sign
+    const [, mArg, keysArg, toAddress, amountArg] = args;
+    const { m, publicKeys } = parseMultisigArgs(mArg, keysArg);
+    const amount = Number(amountArg);
+    const fee = Number(getOption(args, 'fee', '0'));
+
+    if (!isValidAddress(toAddress)) {
+      throw new Error(`Invalid recipient address: ${toAddress}`);
+    }
+    if (!Transaction.isValidAmount(amount) || !Transaction.isValidFee(fee)) {
+      throw new Error('Amount must be a positive number and fee a non-negative number');
+    }
+
+    const fromAddress = multisigToAddress(m, publicKeys);
+    const nonceOption = getOption(args, 'nonce');
+    const nonce = nonceOption !== undefined
+      ? parseInt(nonceOption, 10)
+      : (await nodeRequest(nodeUrl, `/nonce/${fromAddress}`)).nonce;
+
+    const lockTime = parseLockTime(getOption(args, 'lock-time'));
+    const tx = Transaction.createMultisig(m, publicKeys, toAddress, amount, nonce, fee, lockTime);
+    const filePath = getOption(args, 'out', `multisig-tx-${Date.now()}.json`);
+    writeTransactionFile(filePath, tx);
+
+    console.log(`多签交易已创建: ${filePath}`);
+    console.log(`${tx.fromAddress} -> ${tx.toAddress}, 金额 ${tx.amount}, 手续费 ${tx.fee}, nonce ${tx.nonce}`);
+    console.log(describeMultisigProgress(tx));
+  }
+  else if (command === 'multisig-sign' && args[1] && args[2]) {
+    // 签名后写回同一个文件，再交给下一个签名方
+    const tx = readTransactionFile(args[2]);
+    if (!tx.isMultisig()) {
+      throw new Error(`Not a multisig transaction: ${args[2]}`);
+    }
+
+    const wallet = Wallet.loadFromFile(args[1], await promptPassphrase('钱包口令: '), account);
+    wallet.signMultisigTransaction(tx);
+    writeTransactionFile(args[2], tx);
+
+    console.log(`已添加 ${wallet.getAddress()} 的签名: ${args[2]}`);
+    console.log(describeMultisigProgress(tx));
+  }
+  else if (command === 'multisig-send' && args[1]) {
+    // 签名数量达到 M 后提交给节点
+    const tx = readTransactionFile(args[1]);
+    const result = await nodeRequest(nodeUrl, '/transaction', tx);
+
+    if (json) {
+      console.log(JSON.stringify({ txHash: result.transactionHash, transaction: result.transaction }, null, 2));
+    } else {
+      console.log(`交易已提交: ${result.transactionHash}`);
+    }
+  }
+  else if (command === 'change-password' && args[1]) {
+    const passphrase = await promptPassphrase('当前口令: ');
+    const wallet = HDWallet.isHDWalletData(Wallet.readWalletFile(args[1]))
+      ? Wallet.loadHDWallet(args[1], passphrase)
+      : Wallet.loadFromFile(args[1], passphrase);
+    const filePath = Wallet.writeWalletFile(args[1], wallet.toKeystore(await promptNewPassphrase('WALLET_NEW_PASSPHRASE')));
+    console.log(`口令已修改: ${filePath}`);
+  }
   else {
-    console.log('用法:');
-    console.log('  node wallet.js new [钱包名称]   - 创建新钱包');
-    console.log('  node wallet.js list             - 列出所有钱包');
-    console.log('  node wallet.js info <钱包名称>  - 显示钱包信息');
+    printUsage();
   }
 }
 
+if (require.main === module) {
+  main().catch(error => {
+    if (process.argv.includes('--json')) {
+      console.error(JSON.stringify({ error: error.message, code: error.code }));
+    } else {
+      console.error(`错误: ${error.message}`);
+    }
+    process.exit(1);
+  });
+}
+
 module.exports = Wallet;
\ No newline at end of file
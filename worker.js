@@ -1,71 +1,272 @@
 // worker.js - Cloudflare Worker入口文件
+// 交易哈希、签名 (secp256k1 ECDSA) 和地址格式与Node版本的 blockchain.js 一致，Node钱包创建的交易可以直接提交
 import * as CryptoES from 'crypto-es';
 import { ec as EC } from 'elliptic';
+import { publicKeyToAddress, isValidAddress } from './address-workers.js';
 
 // 初始化椭圆曲线
 const ec = new EC('secp256k1');
 
-// 区块类
+// lockTime 小于该值时表示区块高度，否则表示时间戳 (毫秒)，必须与 config.js 中的 LOCKTIME_THRESHOLD 一致
+const LOCKTIME_THRESHOLD = 500000000;
+
+// 交易校验错误，code 用于API返回明确的错误码
+class TransactionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'TransactionError';
+    this.code = code;
+  }
+}
+
+// 区块校验错误 (外部矿工提交的区块)
+class BlockError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'BlockError';
+    this.code = code;
+  }
+}
+
+// 反序列化时的基础类型检查
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isHexString(value) {
+  return typeof value === 'string' && /^[0-9a-f]*$/i.test(value);
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
+function sha256(data) {
+  return CryptoES.SHA256(data).toString(CryptoES.enc.Hex);
+}
+
+// 空区块的Merkle根
+const EMPTY_MERKLE_ROOT = '0'.repeat(64);
+
+// 计算一组交易哈希的Merkle根 (与Node版本的 merkle.js 相同，某一层节点数为奇数时复制最后一个节点)
+function computeMerkleRoot(leaves) {
+  if (leaves.length === 0) {
+    return EMPTY_MERKLE_ROOT;
+  }
+
+  let level = leaves;
+  while (level.length > 1) {
+    const nextLevel = [];
+    for (let i = 0; i < level.length; i += 2) {
+      const right = i + 1 < level.length ? level[i + 1] : level[i];
+      nextLevel.push(sha256(level[i] + right));
+    }
+    level = nextLevel;
+  }
+  return level[0];
+}
+
+// 区块类 (区块头格式与Node版本一致，外部矿工 external-miner.js 可以同时为两种节点挖矿)
 class Block {
-  constructor(timestamp, transactions, previousHash = '') {
+  constructor(timestamp, transactions, previousHash = '', difficulty = 0) {
     this.timestamp = timestamp;
     this.transactions = transactions;
     this.previousHash = previousHash;
-    this.hash = this.calculateHash();
+    this.difficulty = difficulty;
+    this.merkleRoot = this.calculateMerkleRoot();
     this.nonce = 0;
+    this.hash = this.calculateHash();
   }
 
+  // 区块头通过Merkle根承诺区块内的全部交易
   calculateHash() {
-    const data = this.previousHash + this.timestamp + JSON.stringify(this.transactions) + this.nonce;
-    return CryptoES.SHA256(data).toString(CryptoES.enc.Hex);
+    return sha256(this.previousHash + this.timestamp + this.merkleRoot + this.nonce + this.difficulty);
+  }
+
+  calculateMerkleRoot() {
+    return computeMerkleRoot(this.transactions.map(tx => tx.calculateHash()));
+  }
+
+  // 检查区块头中的Merkle根是否与交易列表一致
+  hasValidMerkleRoot() {
+    return this.merkleRoot === this.calculateMerkleRoot();
+  }
+
+  // 检查哈希是否满足区块声明的难度
+  hasValidProofOfWork() {
+    const target = Array(this.difficulty + 1).join('0');
+    return this.hash.substring(0, this.difficulty) === target;
   }
 
   // 工作量证明 (PoW)
-  mineBlock(difficulty) {
-    const target = Array(difficulty + 1).join('0');
-    
-    while (this.hash.substring(0, difficulty) !== target) {
+  mineBlock() {
+    while (!this.hasValidProofOfWork()) {
       this.nonce++;
       this.hash = this.calculateHash();
     }
     
     console.log(`Block mined: ${this.hash}`);
   }
+
+  // 从KV存储中的JSON数据重建区块实例，结构不合法时抛出错误
+  static fromJSON(data) {
+    if (!isPlainObject(data)) {
+      throw new Error('Invalid block: expected an object');
+    }
+    if (!isNonNegativeInteger(data.timestamp) || !isNonNegativeInteger(data.nonce)) {
+      throw new Error('Invalid block: timestamp and nonce must be non-negative integers');
+    }
+    if (!Array.isArray(data.transactions)) {
+      throw new Error('Invalid block: transactions must be an array');
+    }
+    if (typeof data.previousHash !== 'string' || !isHexString(data.hash)) {
+      throw new Error('Invalid block: previousHash must be a string and hash a hex string');
+    }
+    if (!isNonNegativeInteger(data.difficulty) || data.difficulty > 64) {
+      throw new Error('Invalid block: difficulty must be an integer between 0 and 64');
+    }
+    if (typeof data.merkleRoot !== 'string' || !/^[0-9a-f]{64}$/.test(data.merkleRoot)) {
+      throw new Error('Invalid block: merkleRoot must be a 64-character hex string');
+    }
+
+    const transactions = data.transactions.map(tx => Transaction.fromJSON(tx));
+    const block = new Block(data.timestamp, transactions, data.previousHash, data.difficulty);
+    // 哈希和Merkle根保持原值，由 isChainValid 负责校验
+    block.merkleRoot = data.merkleRoot;
+    block.nonce = data.nonce;
+    block.hash = data.hash;
+
+    return block;
+  }
 }
 
 // 交易类
 class Transaction {
-  constructor(fromAddress, toAddress, amount) {
+  constructor(fromAddress, toAddress, amount, nonce = 0, fee = 0, lockTime = 0) {
     this.fromAddress = fromAddress;
     this.toAddress = toAddress;
     this.amount = amount;
+    this.nonce = nonce; // 账户nonce，防止交易重放
+    this.fee = fee; // 支付给矿工的手续费
+    this.lockTime = lockTime; // 最早可被打包的区块高度或时间戳，0 表示不锁定
     this.timestamp = Date.now();
   }
 
+  // 与Node版本相同的哈希输入 (各字段编码为JSON数组)，签名、公钥不参与计算
   calculateHash() {
-    const data = this.fromAddress + this.toAddress + this.amount + this.timestamp;
-    return CryptoES.SHA256(data).toString(CryptoES.enc.Hex);
+    return sha256(JSON.stringify([
+      this.fromAddress,
+      this.toAddress,
+      this.amount,
+      this.timestamp,
+      this.nonce,
+      this.fee,
+      this.lockTime
+    ]));
   }
 
+  // 交易能否被打包进指定高度和时间戳的区块
+  isMature(height, timestamp) {
+    if (!this.lockTime) {
+      return true;
+    }
+    return this.lockTime < LOCKTIME_THRESHOLD ? height >= this.lockTime : timestamp >= this.lockTime;
+  }
+
+  // 发送方需要支付的总额 (金额 + 手续费)
+  getTotalCost() {
+    return this.amount + this.fee;
+  }
+
+  // 签名时公钥 (压缩格式) 随交易一起保存，验证时据此检查发送方地址
   signTransaction(signingKey) {
-    if (signingKey.getPublic('hex') !== this.fromAddress) {
-      throw new Error('You cannot sign transactions for other wallets!');
+    if (publicKeyToAddress(signingKey.getPublic('hex')) !== this.fromAddress) {
+      throw new TransactionError('INVALID_SIGNER', 'You cannot sign transactions for other wallets!');
     }
 
     const hashTx = this.calculateHash();
     const sig = signingKey.sign(hashTx);
     this.signature = sig.toDER('hex');
+    this.publicKey = signingKey.getPublic(true, 'hex');
   }
 
   isValid() {
     if (this.fromAddress === null) return true; // 挖矿奖励交易
 
     if (!this.signature || this.signature.length === 0) {
-      throw new Error('No signature in this transaction');
+      throw new TransactionError('MISSING_SIGNATURE', 'No signature in this transaction');
+    }
+
+    if (!this.publicKey) {
+      throw new TransactionError('MISSING_PUBLIC_KEY', 'No public key in this transaction');
+    }
+
+    // 公钥必须对应发送方地址
+    if (publicKeyToAddress(this.publicKey) !== this.fromAddress) {
+      return false;
+    }
+
+    // elliptic 在公钥或签名无法解码时抛出异常，属于交易格式错误
+    try {
+      const publicKey = ec.keyFromPublic(this.publicKey, 'hex');
+      return publicKey.verify(this.calculateHash(), this.signature);
+    } catch (error) {
+      throw new TransactionError('MALFORMED_TRANSACTION', `Invalid public key or signature: ${error.message}`);
+    }
+  }
+
+  // 金额必须是正的有限数值
+  static isValidAmount(amount) {
+    return typeof amount === 'number' && Number.isFinite(amount) && amount > 0;
+  }
+
+  // 手续费必须是非负的有限数值
+  static isValidFee(fee) {
+    return typeof fee === 'number' && Number.isFinite(fee) && fee >= 0;
+  }
+
+  // 从KV存储中的JSON数据重建交易实例，结构不合法时抛出错误
+  static fromJSON(data) {
+    if (!isPlainObject(data)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: expected an object');
+    }
+    if (data.fromAddress !== null && typeof data.fromAddress !== 'string') {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: fromAddress must be a string or null');
+    }
+    if (typeof data.toAddress !== 'string' || data.toAddress.length === 0) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: toAddress must be a non-empty string');
+    }
+    if (typeof data.amount !== 'number' || !Number.isFinite(data.amount)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: amount must be a finite number');
+    }
+    if (!isNonNegativeInteger(data.timestamp) || !isNonNegativeInteger(data.nonce)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: timestamp and nonce must be non-negative integers');
+    }
+    if (data.fee !== undefined && (typeof data.fee !== 'number' || !Number.isFinite(data.fee))) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: fee must be a finite number');
+    }
+    if (data.lockTime !== undefined && !isNonNegativeInteger(data.lockTime)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: lockTime must be a non-negative integer');
+    }
+    if (data.signature !== undefined && data.signature !== null && !isHexString(data.signature)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: signature must be a hex string');
+    }
+    if (data.publicKey !== undefined && data.publicKey !== null && !isHexString(data.publicKey)) {
+      throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: publicKey must be a hex string');
     }
 
-    const publicKey = ec.keyFromPublic(this.fromAddress, 'hex');
-    return publicKey.verify(this.calculateHash(), this.signature);
+    const fee = data.fee === undefined ? 0 : data.fee;
+    const lockTime = data.lockTime === undefined ? 0 : data.lockTime;
+    const transaction = new Transaction(data.fromAddress, data.toAddress, data.amount, data.nonce, fee, lockTime);
+    transaction.timestamp = data.timestamp;
+    if (data.signature) {
+      transaction.signature = data.signature;
+    }
+    if (data.publicKey) {
+      transaction.publicKey = data.publicKey;
+    }
+
+    return transaction;
   }
 }
 
@@ -73,6 +274,7 @@ class Transaction {
 class Blockchain {
   constructor() {
     this.chain = [];
+    // Workers版本使用固定的难度和奖励，不做Node节点的难度调整和奖励减半 (见 README-CLOUDFLARE.md)
     this.difficulty = 2; // 挖矿难度
     this.pendingTransactions = [];
     this.miningReward = 100; // 挖矿奖励
@@ -85,7 +287,17 @@ class Blockchain {
     const storedPendingTx = await env.BLOCKCHAIN_STORAGE.get('pendingTransactions', { type: 'json' });
     
     if (storedChain && storedChain.length > 0) {
-      this.chain = storedChain;
+      // 重建区块实例；区块在写入时已经验证过，链尾与记录的已验证链尾一致时不再重复验证
+      // (每个请求都验证整条链的签名会随链增长超出Worker的CPU时间限制)
+      this.chain = storedChain.map(block => Block.fromJSON(block));
+      const validatedTip = await env.BLOCKCHAIN_STORAGE.get('validatedTip');
+      if (validatedTip !== this.getLatestBlock().hash) {
+        // 旧版本写入或来源不明的数据完整校验一次，损坏时拒绝继续处理
+        if (!this.isChainValid()) {
+          throw new Error('Stored blockchain failed validation');
+        }
+        await env.BLOCKCHAIN_STORAGE.put('validatedTip', this.getLatestBlock().hash);
+      }
       console.log('Loaded existing blockchain with', this.chain.length, 'blocks');
     } else {
       // 创建创世区块
@@ -95,15 +307,25 @@ class Blockchain {
       console.log('Initialized new blockchain with genesis block');
     }
     
-    if (storedPendingTx) {
-      this.pendingTransactions = storedPendingTx;
+    if (Array.isArray(storedPendingTx)) {
+      // 逐笔重建并验证待处理交易，无效的交易直接丢弃
+      for (const txData of storedPendingTx) {
+        try {
+          const transaction = Transaction.fromJSON(txData);
+          this.validateTransaction(transaction);
+          this.pendingTransactions.push(transaction);
+        } catch (error) {
+          console.log('Dropped invalid pending transaction:', error.message);
+        }
+      }
       console.log('Loaded', this.pendingTransactions.length, 'pending transactions');
     }
   }
 
-  // 保存区块链到KV存储
+  // 保存区块链到KV存储 (只保存验证过的链)，同时记录已验证的链尾
   async saveChain(env) {
     await env.BLOCKCHAIN_STORAGE.put('blockchain', JSON.stringify(this.chain));
+    await env.BLOCKCHAIN_STORAGE.put('validatedTip', this.getLatestBlock().hash);
     console.log('Blockchain saved to KV storage');
   }
 
@@ -117,20 +339,39 @@ class Blockchain {
     return this.chain[this.chain.length - 1];
   }
 
+  // 选择可以打包的交易: 时间锁未到期的交易及同一账户后续nonce的交易留在交易池中
+  selectTransactionsForBlock(height, timestamp) {
+    const blockedSenders = new Set();
+    return this.pendingTransactions.filter(tx => {
+      if (blockedSenders.has(tx.fromAddress) || !tx.isMature(height, timestamp)) {
+        blockedSenders.add(tx.fromAddress);
+        return false;
+      }
+      return true;
+    });
+  }
+
+  // 创建候选区块: 可打包的交易 + 奖励交易 (以区块高度作为nonce，保证奖励交易的哈希唯一)
+  // 奖励金额为区块奖励加上区块内交易的手续费
+  createCandidateBlock(minerAddress) {
+    const height = this.chain.length;
+    const timestamp = Date.now();
+    const transactions = this.selectTransactionsForBlock(height, timestamp);
+    const fees = transactions.reduce((sum, tx) => sum + tx.fee, 0);
+    const rewardTx = new Transaction(null, minerAddress, this.miningReward + fees, height);
+    return new Block(timestamp, [...transactions, rewardTx], this.getLatestBlock().hash, this.difficulty);
+  }
+
   async minePendingTransactions(minerAddress, env) {
-    // 创建奖励交易
-    const rewardTx = new Transaction(null, minerAddress, this.miningReward);
-    this.pendingTransactions.push(rewardTx);
-    
     // 创建新区块并进行挖矿
-    const block = new Block(Date.now(), this.pendingTransactions, this.getLatestBlock().hash);
-    block.mineBlock(this.difficulty);
+    const block = this.createCandidateBlock(minerAddress);
+    block.mineBlock();
     
     console.log('Block successfully mined!');
     this.chain.push(block);
     
-    // 重置待处理交易
-    this.pendingTransactions = [];
+    // 移除已打包的交易
+    this.pendingTransactions = this.pendingTransactions.filter(tx => !block.transactions.includes(tx));
     
     // 保存更新的区块链和待处理交易
     await this.saveChain(env);
@@ -139,17 +380,69 @@ class Blockchain {
     return block;
   }
 
-  async addTransaction(transaction, env) {
-    // 验证交易
-    if (!transaction.fromAddress || !transaction.toAddress) {
-      throw new Error('Transaction must include from and to address');
+  // 为外部矿工生成区块模板 (Worker有CPU时间限制，不适合在请求中挖矿)
+  // 区块哈希 = SHA256(previousHash + timestamp + merkleRoot + nonce + difficulty)，与Node节点的模板相同
+  getBlockTemplate(minerAddress) {
+    const block = this.createCandidateBlock(minerAddress);
+
+    return {
+      height: this.chain.length,
+      previousHash: block.previousHash,
+      difficulty: this.difficulty,
+      target: Array(this.difficulty + 1).join('0'),
+      timestamp: block.timestamp,
+      merkleRoot: block.merkleRoot,
+      transactions: block.transactions.slice(0, -1),
+      coinbase: block.transactions[block.transactions.length - 1]
+    };
+  }
+
+  // 接收外部矿工提交的区块，验证通过后追加到链尾，失败时抛出 BlockError
+  async submitBlock(blockData, env) {
+    let block;
+    try {
+      block = Block.fromJSON(blockData);
+    } catch (error) {
+      throw new BlockError('MALFORMED_BLOCK', error.message);
     }
 
-    // 特殊处理：如果是重新构建接收到的交易对象，可能没有isValid方法
-    if (typeof transaction.isValid === 'function' && !transaction.isValid()) {
-      throw new Error('Cannot add invalid transaction to chain');
+    if (block.previousHash !== this.getLatestBlock().hash) {
+      throw new BlockError('STALE_BLOCK', 'Block does not extend the current chain tip');
     }
-    
+
+    if (block.difficulty !== this.difficulty || block.hash !== block.calculateHash() || !block.hasValidProofOfWork()) {
+      throw new BlockError('INVALID_POW', 'Block hash does not match its header or does not meet the difficulty');
+    }
+
+    // 必须有且只有一笔奖励交易，位于区块末尾，金额 (区块奖励 + 手续费) 和nonce与本地生成的一致
+    const rewardTxs = block.transactions.filter(tx => tx.fromAddress === null);
+    const rewardTx = block.transactions[block.transactions.length - 1];
+    const fees = block.transactions.reduce((sum, tx) => sum + (tx.fromAddress === null ? 0 : tx.fee), 0);
+    if (rewardTxs.length !== 1 || rewardTxs[0] !== rewardTx ||
+        rewardTx.amount !== this.miningReward + fees || rewardTx.nonce !== this.chain.length) {
+      throw new BlockError('INVALID_COINBASE', 'Block must end with exactly one valid reward transaction');
+    }
+
+    // 只验证新区块，之前的区块已经验证过
+    const state = this.getValidationState();
+    this.chain.push(block);
+    if (!this.isValidBlockAt(this.chain.length - 1, state)) {
+      this.chain.pop();
+      throw new BlockError('INVALID_BLOCK', 'Block contains invalid transactions');
+    }
+
+    // 从交易池中移除已打包的交易
+    const included = new Set(block.transactions.map(tx => tx.calculateHash()));
+    this.pendingTransactions = this.pendingTransactions.filter(tx => !included.has(tx.calculateHash()));
+
+    await this.saveChain(env);
+    await this.savePendingTransactions(env);
+
+    return block;
+  }
+
+  async addTransaction(transaction, env) {
+    this.validateTransaction(transaction);
     this.pendingTransactions.push(transaction);
     
     // 保存更新的待处理交易
@@ -158,13 +451,67 @@ class Blockchain {
     return transaction;
   }
 
+  // 验证交易能否进入交易池，不通过时抛出 TransactionError
+  validateTransaction(transaction) {
+    if (!transaction.fromAddress || !transaction.toAddress) {
+      throw new TransactionError('MISSING_ADDRESS', 'Transaction must include from and to address');
+    }
+
+    // 拒绝格式或校验和错误的地址，避免把币发送到无人能花费的地址
+    if (!isValidAddress(transaction.fromAddress) || !isValidAddress(transaction.toAddress)) {
+      throw new TransactionError('INVALID_ADDRESS', 'Transaction contains an invalid address (bad format or checksum)');
+    }
+
+    if (!Transaction.isValidAmount(transaction.amount)) {
+      throw new TransactionError('INVALID_AMOUNT', 'Transaction amount must be a positive number');
+    }
+
+    if (!Transaction.isValidFee(transaction.fee)) {
+      throw new TransactionError('INVALID_FEE', 'Transaction fee must be a non-negative number');
+    }
+
+    // 时间锁未到期的交易可以进入交易池，到期后才会被打包
+    if (!isNonNegativeInteger(transaction.lockTime)) {
+      throw new TransactionError('INVALID_LOCK_TIME', 'Transaction lockTime must be a non-negative integer');
+    }
+
+    // nonce必须正好是该账户的下一个nonce (已确认 + 交易池中的交易数)
+    const expectedNonce = this.getNextNonce(transaction.fromAddress);
+    if (!Number.isInteger(transaction.nonce) || transaction.nonce < expectedNonce) {
+      throw new TransactionError(
+        'NONCE_TOO_LOW',
+        `Nonce already used or invalid: expected ${expectedNonce}, got ${transaction.nonce}`
+      );
+    }
+    if (transaction.nonce > expectedNonce) {
+      throw new TransactionError(
+        'NONCE_GAP',
+        `Nonce out of order: expected ${expectedNonce}, got ${transaction.nonce}`
+      );
+    }
+
+    if (!transaction.isValid()) {
+      throw new TransactionError('INVALID_SIGNATURE', 'Cannot add invalid transaction to chain');
+    }
+
+    // 余额需扣除该地址在交易池中尚未确认的支出
+    const available = this.getAvailableBalance(transaction.fromAddress);
+    if (transaction.getTotalCost() > available) {
+      throw new TransactionError(
+        'INSUFFICIENT_FUNDS',
+        `Insufficient funds: available ${available}, required ${transaction.getTotalCost()}`
+      );
+    }
+  }
+
   getBalanceOfAddress(address) {
     let balance = 0;
 
     for (const block of this.chain) {
       for (const trans of block.transactions) {
+        // 发送方同时支付金额和手续费
         if (trans.fromAddress === address) {
-          balance -= trans.amount;
+          balance -= trans.getTotalCost();
         }
 
         if (trans.toAddress === address) {
@@ -176,31 +523,118 @@ class Blockchain {
     return balance;
   }
 
-  isChainValid() {
-    for (let i = 1; i < this.chain.length; i++) {
-      const currentBlock = this.chain[i];
-      const previousBlock = this.chain[i - 1];
+  // 计算地址在交易池中待确认的支出总额 (含手续费)
+  getPendingSpend(address) {
+    return this.pendingTransactions
+      .filter(tx => tx.fromAddress === address)
+      .reduce((sum, tx) => sum + tx.getTotalCost(), 0);
+  }
 
-      // 验证区块哈希
-      if (currentBlock.hash !== currentBlock.calculateHash()) {
-        return false;
+  // 可用余额 = 已确认余额 - 交易池中的待支出
+  getAvailableBalance(address) {
+    return this.getBalanceOfAddress(address) - this.getPendingSpend(address);
+  }
+
+  // 已确认的账户nonce (即该地址在链上发出的交易数)
+  getNonceOfAddress(address) {
+    let nonce = 0;
+
+    for (const block of this.chain) {
+      for (const trans of block.transactions) {
+        if (trans.fromAddress === address) {
+          nonce++;
+        }
       }
+    }
+
+    return nonce;
+  }
+
+  // 构建下一笔交易应使用的nonce (包含交易池中待确认的交易)
+  getNextNonce(address) {
+    const pendingCount = this.pendingTransactions
+      .filter(tx => tx.fromAddress === address)
+      .length;
+    return this.getNonceOfAddress(address) + pendingCount;
+  }
+
+  isChainValid() {
+    // 逐块累计余额和nonce，用于检查区块内的交易是否超支或重放
+    const state = { balances: new Map(), nonces: new Map() };
 
-      // 验证区块链接
-      if (currentBlock.previousHash !== previousBlock.hash) {
+    for (let i = 1; i < this.chain.length; i++) {
+      if (!this.isValidBlockAt(i, state)) {
         return false;
       }
+    }
+
+    return true;
+  }
+
+  // 验证高度 i 的区块 (之前的区块必须已经通过验证)，state 为之前区块累计的余额和nonce，验证过程中更新
+  isValidBlockAt(i, state) {
+    const { balances, nonces } = state;
+    const currentBlock = this.chain[i];
+    const previousBlock = this.chain[i - 1];
+
+    // 验证区块哈希、Merkle根和工作量证明
+    if (currentBlock.hash !== currentBlock.calculateHash() || !currentBlock.hasValidMerkleRoot() ||
+        !currentBlock.hasValidProofOfWork()) {
+      return false;
+    }
+
+    // 验证区块链接
+    if (currentBlock.previousHash !== previousBlock.hash) {
+      return false;
+    }
+
+    // 验证区块内交易
+    for (const tx of currentBlock.transactions) {
+      if (tx.fromAddress !== null) {
+        if (!isTransactionSignatureValid(tx)) {
+          return false;
+        }
 
-      // 验证区块内交易
-      for (const tx of currentBlock.transactions) {
-        if (tx.fromAddress !== null && typeof tx.isValid === 'function' && !tx.isValid()) {
+        // 时间锁必须在本区块的高度和时间戳之前到期
+        if (!isNonNegativeInteger(tx.lockTime) || !tx.isMature(i, currentBlock.timestamp)) {
           return false;
         }
+
+        const balance = balances.get(tx.fromAddress) || 0;
+        if (!Transaction.isValidAmount(tx.amount) || !Transaction.isValidFee(tx.fee) || tx.getTotalCost() > balance) {
+          return false;
+        }
+        balances.set(tx.fromAddress, balance - tx.getTotalCost());
+
+        const expectedNonce = nonces.get(tx.fromAddress) || 0;
+        if (tx.nonce !== expectedNonce) {
+          return false;
+        }
+        nonces.set(tx.fromAddress, expectedNonce + 1);
       }
+
+      balances.set(tx.toAddress, (balances.get(tx.toAddress) || 0) + tx.amount);
     }
 
     return true;
   }
+
+  // 当前链累计的余额和nonce (不重复验证签名)，用于验证追加到链尾的新区块
+  getValidationState() {
+    const state = { balances: new Map(), nonces: new Map() };
+
+    for (const block of this.chain) {
+      for (const tx of block.transactions) {
+        if (tx.fromAddress !== null) {
+          state.balances.set(tx.fromAddress, (state.balances.get(tx.fromAddress) || 0) - tx.getTotalCost());
+          state.nonces.set(tx.fromAddress, (state.nonces.get(tx.fromAddress) || 0) + 1);
+        }
+        state.balances.set(tx.toAddress, (state.balances.get(tx.toAddress) || 0) + tx.amount);
+      }
+    }
+
+    return state;
+  }
 }
 
 // 钱包类
@@ -208,12 +642,21 @@ class Wallet {
   constructor(privateKey = null) {
     this.keyPair = privateKey ? ec.keyFromPrivate(privateKey) : ec.genKeyPair();
     this.privateKey = this.keyPair.getPrivate('hex');
-    this.publicKey = this.keyPair.getPublic('hex');
+    this.publicKey = this.keyPair.getPublic(true, 'hex');
   }
 
-  // 获取钱包地址
+  // 获取钱包地址（压缩公钥的哈希，Base58Check编码）
   getAddress() {
-    return this.publicKey;
+    return publicKeyToAddress(this.publicKey);
+  }
+}
+
+// 验证交易签名，签名缺失或公钥格式错误时视为无效而不是抛出异常
+function isTransactionSignatureValid(transaction) {
+  try {
+    return transaction.isValid();
+  } catch (error) {
+    return false;
   }
 }
 
@@ -255,10 +698,10 @@ async function handleRequest(request, env) {
     });
   }
 
-  // 获取区块链实例
-  const blockchain = await getBlockchain(env);
-
   try {
+    // 获取区块链实例
+    const blockchain = await getBlockchain(env);
+
     // 路由处理
     if (path === '/blockchain' && method === 'GET') {
       // 获取区块链
@@ -269,16 +712,36 @@ async function handleRequest(request, env) {
       });
     }
     else if (path === '/transaction' && method === 'POST') {
-      // 创建交易
-      const data = await request.json();
-      const { fromAddress, toAddress, amount, privateKey } = data;
-      
-      // 使用私钥创建密钥对
-      const keyPair = ec.keyFromPrivate(privateKey);
-      
-      // 创建并签名交易
-      const tx = new Transaction(fromAddress, toAddress, parseFloat(amount));
-      tx.signTransaction(keyPair);
+      // 创建交易: 请求体为客户端已签名的交易 (私钥不离开客户端)
+      // 开发环境变量 ALLOW_SERVER_SIGNING = "true" 时也可以携带 privateKey 由Worker签名
+      let data;
+      try {
+        data = await request.json();
+      } catch (error) {
+        throw new TransactionError('MALFORMED_TRANSACTION', 'Request body is not valid JSON');
+      }
+      if (!isPlainObject(data)) {
+        throw new TransactionError('MALFORMED_TRANSACTION', 'Invalid transaction: expected an object');
+      }
+      const { fromAddress, toAddress, amount, privateKey, nonce, fee = 0, lockTime = 0 } = data;
+
+      let tx;
+      if (!privateKey) {
+        tx = Transaction.fromJSON(data);
+      } else if (env.ALLOW_SERVER_SIGNING !== 'true') {
+        return createResponse({
+          error: 'Server-side signing is disabled, submit a signed transaction instead',
+          code: 'SERVER_SIGNING_DISABLED'
+        }, 403);
+      } else {
+        // 使用私钥创建密钥对
+        const keyPair = ec.keyFromPrivate(privateKey);
+
+        // 创建并签名交易
+        const txNonce = nonce !== undefined ? nonce : blockchain.getNextNonce(fromAddress);
+        tx = new Transaction(fromAddress, toAddress, parseFloat(amount), txNonce, fee, lockTime);
+        tx.signTransaction(keyPair);
+      }
       
       // 添加到待处理交易
       await blockchain.addTransaction(tx, env);
@@ -296,6 +759,10 @@ async function handleRequest(request, env) {
       if (!minerAddress) {
         return createResponse({ error: 'Missing miner address' }, 400);
       }
+
+      if (!isValidAddress(minerAddress)) {
+        return createResponse({ error: 'Invalid miner address', code: 'INVALID_ADDRESS' }, 400);
+      }
       
       // 挖掘待处理交易
       const lastBlock = await blockchain.minePendingTransactions(minerAddress, env);
@@ -305,6 +772,31 @@ async function handleRequest(request, env) {
         lastBlock
       });
     }
+    else if (path === '/mining/template' && method === 'GET') {
+      // 外部矿工: 获取区块模板
+      const minerAddress = url.searchParams.get('minerAddress');
+
+      if (!minerAddress) {
+        return createResponse({ error: 'Missing miner address' }, 400);
+      }
+
+      if (!isValidAddress(minerAddress)) {
+        return createResponse({ error: 'Invalid miner address', code: 'INVALID_ADDRESS' }, 400);
+      }
+
+      return createResponse(blockchain.getBlockTemplate(minerAddress));
+    }
+    else if (path === '/mining/submit' && method === 'POST') {
+      // 外部矿工: 提交完成工作量证明的区块
+      const data = await request.json();
+      const block = await blockchain.submitBlock(data.block, env);
+
+      return createResponse({
+        message: 'Block accepted',
+        height: blockchain.chain.length - 1,
+        hash: block.hash
+      });
+    }
     else if (path.startsWith('/balance/') && method === 'GET') {
       // 获取钱包余额
       const address = path.split('/balance/')[1];
@@ -315,19 +807,44 @@ async function handleRequest(request, env) {
         balance
       });
     }
+    else if (path.startsWith('/nonce/') && method === 'GET') {
+      // 获取账户的下一个nonce
+      const address = path.split('/nonce/')[1];
+      
+      return createResponse({
+        address,
+        nonce: blockchain.getNextNonce(address),
+        confirmedNonce: blockchain.getNonceOfAddress(address)
+      });
+    }
     else if (path === '/wallet/new' && method === 'GET') {
-      // 创建钱包
+      // 创建钱包: 私钥经HTTP返回，只在开发环境 (ALLOW_SERVER_SIGNING = "true") 下可用
+      // 正常情况应在客户端生成密钥 (wallet-workers.js 或 node wallet.js new)
+      if (env.ALLOW_SERVER_SIGNING !== 'true') {
+        return createResponse({
+          error: 'Server-side key generation is disabled, create a wallet on the client instead',
+          code: 'SERVER_SIGNING_DISABLED'
+        }, 403);
+      }
+
       const newWallet = new Wallet();
       
       return createResponse({
         privateKey: newWallet.privateKey,
-        publicKey: newWallet.publicKey
+        publicKey: newWallet.publicKey,
+        address: newWallet.getAddress()
       });
     }
     else {
       return createResponse({ error: 'Not found' }, 404);
     }
   } catch (error) {
+    // 交易或区块校验失败属于客户端错误，区块模板过期返回 409
+    if (error instanceof TransactionError || error instanceof BlockError) {
+      const status = error.code === 'STALE_BLOCK' ? 409 : 400;
+      return createResponse({ error: error.message, code: error.code }, status);
+    }
+
     console.error('Error handling request:', error);
     return createResponse({ error: error.message }, 500);
   }